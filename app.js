@@ -1,12 +1,24 @@
 const express = require('express');
 const multer = require('multer');
-const { PDFDocument, rgb } = require('pdf-lib');
-const fontkit = require('@pdf-lib/fontkit');
 const fs = require('fs');
-const { PDFDocument, rgb, StandardFonts } = require('pdf-lib');
 const bodyParser = require('body-parser');
 const path = require('path');
-const { createCanvas } = require('canvas');
+const { once } = require('events');
+const { pdfjsLib, loadDocument, extractPage, extractDocumentInfo } = require('./lib/extract');
+const { parsePageRanges } = require('./lib/pageRanges');
+const { parseLanguages, createOcr } = require('./lib/ocr');
+const { parseImageOptions, createAssetStore } = require('./lib/assets');
+const { parseExportOptions, exportDocument } = require('./lib/exporters');
+const { createMemoryStore, createFileStore, createLocalQueue, parseWebhookUrl, createJobManager } = require('./lib/jobs');
+const { createFileKeyStore, createMemoryUsageStore, createFileUsageStore, parseKeyList, createAuth } = require('./lib/auth');
+const { renderDocument, overlayDocument } = require('./lib/render');
+const { IMAGE_FORMATS, rasterizePage } = require('./lib/raster');
+const { loadPdf, parseAngle, mergeDocuments, reorderPages, rotatePages, splitDocument } = require('./lib/pageOperations');
+const { savePdf } = require('./lib/encryption');
+const { loadSigner, addSignature, verifySignatures } = require('./lib/signing');
+const { expandTemplate } = require('./lib/template');
+const { diffDocuments, addPixelDiffs } = require('./lib/diff');
+const { FORMAT_VERSION, documentSchema, validateDocument, validateOverlay } = require('./lib/schema');
 
 const app = express();
 
@@ -17,16 +29,259 @@ const upload = multer({
   limits: { fileSize: 50 * 1024 * 1024 } // 50MB limit
 });
 
+// Authentication is on once API clients are configured: 'id:key' pairs in
+// API_KEYS, a JSON list of clients in API_KEYS_FILE, or JWT_SECRET for
+// HS256 bearer tokens. RATE_LIMIT requests per RATE_LIMIT_WINDOW seconds
+// and MONTHLY_PAGE_QUOTA pages apply to clients without limits of their
+// own. USAGE_STORE=file keeps usage counts in USAGE_DIR instead of memory.
+// It runs before the body parsers so that unknown clients are turned away
+// before their uploads are read. Without any clients configured every
+// route but the public ones answers 503, unless AUTH_DISABLED=1 opens them
+// on purpose (`npm run dev` sets it for local development). The home page
+// sends the key typed into it as X-API-Key.
+const apiKeys = process.env.API_KEYS_FILE
+  ? createFileKeyStore(process.env.API_KEYS_FILE)
+  : parseKeyList(process.env.API_KEYS);
+const publicPaths = ['/', '/health', '/schema'];
+const auth = apiKeys || process.env.JWT_SECRET
+  ? createAuth({
+    keys: apiKeys,
+    jwtSecret: process.env.JWT_SECRET,
+    usage: process.env.USAGE_STORE === 'file' ? createFileUsageStore(process.env.USAGE_DIR) : createMemoryUsageStore(),
+    limits: {
+      rateLimit: process.env.RATE_LIMIT !== undefined ? Number(process.env.RATE_LIMIT) : undefined,
+      rateWindow: Number(process.env.RATE_LIMIT_WINDOW) || undefined,
+      monthlyPages: Number(process.env.MONTHLY_PAGE_QUOTA) || undefined
+    },
+    publicPaths
+  })
+  : null;
+
+if (auth) {
+  app.use(auth.middleware);
+} else if (['1', 'true'].includes(process.env.AUTH_DISABLED)) {
+  console.warn('AUTH_DISABLED is set: every route is open');
+} else {
+  console.warn('No API keys configured: only public routes are served');
+  app.use((req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+    res.status(503).json({
+      error: 'Authentication not configured',
+      details: 'set API_KEYS, API_KEYS_FILE or JWT_SECRET, or AUTH_DISABLED=1 to serve without authentication'
+    });
+  });
+}
+
+// Count pages a request processes against its client's monthly quota.
+// Resolves to false once it has answered 429.
+async function chargePages(req, res, pages) {
+  return auth ? auth.chargePages(req, res, pages) : true;
+}
+
+// Documents with a signature block are signed with the PKCS#12 certificate
+// in SIGNING_P12, unlocked with SIGNING_P12_PASSWORD. It is read at startup
+// so that a bad file or password shows at once.
+const signer = process.env.SIGNING_P12
+  ? loadSigner(fs.readFileSync(process.env.SIGNING_P12), process.env.SIGNING_P12_PASSWORD)
+  : null;
+
+// Answer 501 for a document that asks to be signed on a server without a
+// certificate. Returns true once it has answered.
+function refuseUnsignable(res, doc) {
+  if (!doc.signature || signer) return false;
+  res.status(501).json({ error: 'Signing unavailable', details: 'this server has no signing certificate (SIGNING_P12)' });
+  return true;
+}
+
+// Save a rendered document, encrypted and signed as it asks. Signing
+// warnings join the rendering ones. Documents with a conformance level
+// already have every field appearance drawn with embedded fonts, which
+// pdf-lib would redraw in Helvetica.
+async function saveDocument(pdfDoc, doc, warnings) {
+  const conforming = Boolean(doc.conformance);
+  if (!doc.signature) return savePdf(pdfDoc, doc.protection, { updateFieldAppearances: !conforming });
+  const signature = await addSignature(pdfDoc, doc.signature, signer, { embedFonts: conforming });
+  warnings.push(...signature.warnings);
+  // The signature placeholders are filled in in the saved bytes, so they
+  // cannot be packed into object streams
+  return signature.sign(await savePdf(pdfDoc, doc.protection, {
+    useObjectStreams: false,
+    updateFieldAppearances: !conforming
+  }));
+}
+
 // Configure express to handle larger payloads
 app.use(bodyParser.json({ limit: '50mb' }));
 app.use(bodyParser.urlencoded({ extended: true, limit: '50mb' }));
 
-// Import PDF.js
-const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
-const pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker.entry');
+// Extraction options for one conversion. settings are the checked query
+// options { textMode, ocrMode, languages, imageOptions, tables, barcodes };
+// the OCR worker they may start has to be released with
+// options.ocr.terminate().
+function conversionOptions(buffer, settings) {
+  return {
+    textMode: settings.textMode,
+    tables: settings.tables,
+    barcodes: settings.barcodes,
+    ocrMode: settings.ocrMode,
+    ocr: settings.ocrMode ? createOcr(settings.languages) : null,
+    assets: createAssetStore(buffer, settings.imageOptions)
+  };
+}
+
+// Convert the selected pages of a loaded PDF into the JSON document.
+// progress(pagesProcessed, numPages) is called after every page.
+async function convertPdf(pdf, buffer, pageNumbers, settings, progress = () => {}) {
+  const fonts = {};
+  const options = conversionOptions(buffer, settings);
+  
+  try {
+    const pages = [];
+    
+    // Process each page
+    for (const pageNumber of pageNumbers) {
+      console.log(`Processing page ${pageNumber}/${pdf.numPages}`);
+      pages.push(await extractPage(pdf, pageNumber, fonts, options));
+      await progress(pages.length, pageNumbers.length);
+    }
+    
+    const { metadata, outline } = await extractDocumentInfo(pdf);
+    
+    return { version: FORMAT_VERSION, metadata, outline, fonts, assets: options.assets.assets, pages };
+  } finally {
+    if (options.ocr) await options.ocr.terminate();
+  }
+}
+
+// Send a converted document as HTML, Markdown or text. Exports with image
+// files come as a zip named after the uploaded file.
+async function sendExport(res, doc, output, name) {
+  const exported = await exportDocument(doc, output);
+  if (exported.extension === 'zip') {
+    res.attachment(pdfFilename(name).replace(/\.pdf$/i, '.zip'));
+  }
+  res.type(exported.type).send(exported.body);
+}
+
+// Long conversions run as jobs, since API Gateway gives up on requests
+// after 29 seconds. JOB_STORE=file keeps jobs in JOB_DIR instead of memory;
+// WEBHOOK_SECRET signs webhook calls, and WEBHOOK_HOSTS (comma-separated)
+// limits them to those hosts instead of any public address. The local queue
+// works in this process, which Lambda may freeze once the response is sent,
+// so deployments there should plug in a queue that hands jobs to a worker.
+const webhookHosts = process.env.WEBHOOK_HOSTS
+  ? process.env.WEBHOOK_HOSTS.split(',').map(host => host.trim().toLowerCase()).filter(Boolean)
+  : undefined;
+const jobs = createJobManager({
+  store: process.env.JOB_STORE === 'file' ? createFileStore(process.env.JOB_DIR) : createMemoryStore(),
+  queue: createLocalQueue(Number(process.env.JOB_CONCURRENCY) || 1),
+  webhookSecret: process.env.WEBHOOK_SECRET,
+  webhookHosts,
+  handlers: {
+    pdfToJson: async ({ buffer, password, pageNumbers, settings }, progress) => {
+      const pdf = await loadDocument(buffer, password);
+      try {
+        return await convertPdf(pdf, buffer, pageNumbers, settings, progress);
+      } finally {
+        await pdf.destroy();
+      }
+    }
+  }
+});
+
+// The password of an encrypted upload comes in an X-PDF-Password header or
+// a password form field. It is never read from the query string, which ends
+// up in access logs.
+function passwordOf(req) {
+  return req.get('X-PDF-Password') || (req.body && req.body.password) || undefined;
+}
+
+// Answer pdf.js failing to open an encrypted PDF: 401 when no password was
+// given, 422 when it was wrong. Returns false for any other error.
+function sendPasswordError(res, error) {
+  if (!error || error.name !== 'PasswordException') return false;
+  if (error.code === pdfjsLib.PasswordResponses.NEED_PASSWORD) {
+    res.status(401).json({
+      error: 'Password required',
+      details: 'the PDF is encrypted; send its password in the X-PDF-Password header or a password field'
+    });
+  } else {
+    res.status(422).json({ error: 'Incorrect password', details: 'the password does not open the PDF' });
+  }
+  return true;
+}
+
+// Clients opt into a job with ?async=1 or a Prefer: respond-async header
+function wantsAsync(req) {
+  return ['1', 'true'].includes(String(req.query.async)) ||
+    /\brespond-async\b/.test(req.get('Prefer') || '');
+}
 
-// Set the worker source
-pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
+// Clients opt into NDJSON with ?stream=1 or an Accept header
+function wantsNdjson(req) {
+  return ['1', 'true'].includes(String(req.query.stream)) ||
+    (req.get('Accept') || '').includes('application/x-ndjson');
+}
+
+// Write every page as its own NDJSON line as soon as it is converted, so the
+// whole document never has to sit in memory. The 'document' line carries the
+// metadata and outline, and fonts and image assets are written just before
+// the first page that uses them; collecting the lines gives back the
+// document that /jsonToPdf accepts.
+async function streamPages(res, pdf, pageNumbers, fonts, options) {
+  const sentFonts = new Set();
+  const sentAssets = new Set();
+  let closed = false;
+  res.on('close', () => { closed = true; });
+  
+  const writeLine = async value => {
+    if (!res.write(JSON.stringify(value) + '\n')) {
+      await Promise.race([once(res, 'drain'), once(res, 'close')]);
+    }
+  };
+  
+  const { metadata, outline } = await extractDocumentInfo(pdf);
+  
+  res.status(200).type('application/x-ndjson');
+  await writeLine({
+    type: 'document',
+    version: FORMAT_VERSION,
+    numPages: pdf.numPages,
+    pages: pageNumbers,
+    metadata,
+    outline
+  });
+  
+  try {
+    for (const pageNumber of pageNumbers) {
+      if (closed) return;
+      console.log(`Processing page ${pageNumber}/${pdf.numPages}`);
+      
+      const page = await extractPage(pdf, pageNumber, fonts, options);
+      for (const [id, font] of Object.entries(fonts)) {
+        if (!sentFonts.has(id)) {
+          sentFonts.add(id);
+          await writeLine({ type: 'font', id, ...font });
+        }
+      }
+      for (const [id, asset] of Object.entries(options.assets.assets)) {
+        if (!sentAssets.has(id)) {
+          sentAssets.add(id);
+          await writeLine({ type: 'asset', id, ...asset });
+        }
+      }
+      await writeLine({ type: 'page', ...page });
+    }
+    
+    await writeLine({ type: 'end', pagesProcessed: pageNumbers.length });
+  } catch (error) {
+    // Headers are already sent, so the failure is reported in-band
+    console.error('Error streaming PDF pages:', error);
+    await writeLine({ type: 'error', error: 'Failed to process PDF', details: error.message });
+  }
+  
+  res.end();
+}
 
 // PDF to JSON conversion endpoint
 app.post('/pdfToJson', upload.single('file'), async (req, res) => {
@@ -36,137 +291,222 @@ app.post('/pdfToJson', upload.single('file'), async (req, res) => {
     return res.status(400).json({ error: 'No file uploaded' });
   }
   
+  // The job handler of async mode opens its own copy of the PDF, so this
+  // one is destroyed on every branch
+  let pdf;
   try {
     // Use the buffer directly from multer
-    const data = new Uint8Array(req.file.buffer);
-
-    // Load PDF document with Lambda-friendly settings
-    const pdf = await pdfjsLib.getDocument({
-      data,
-      verbosity: 0,
-      useSystemFonts: false,
-      useWorkerFetch: false,
-      isEvalSupported: false,
-      disableAutoFetch: true,
-      disableStream: true,
-      disableRange: true
-    }).promise;
-    
+    const password = passwordOf(req);
+    pdf = await loadDocument(req.file.buffer, password);
     const numPages = pdf.numPages;
-    const pages = [];
-
-    // Process each page
-    for (let i = 1; i <= numPages; i++) {
-      console.log(`Processing page ${i}/${numPages}`);
-      
-      const page = await pdf.getPage(i);
-      const viewport = page.getViewport({ scale: 1.0 });
+    
+    let pageNumbers;
+    try {
+      pageNumbers = parsePageRanges(req.query.pages, numPages);
+    } catch (rangeError) {
+      return res.status(400).json({ error: 'Invalid page selection', details: rangeError.message });
+    }
+    
+    // ?format=html|markdown|text exports the document instead of the JSON.
+    // Those read text as paragraphs unless ?textMode= says otherwise.
+    let output;
+    try {
+      output = parseExportOptions(req.query);
+    } catch (formatError) {
+      return res.status(400).json({ error: 'Invalid output format', details: formatError.message });
+    }
+    if (output.format !== 'json' && wantsNdjson(req)) {
+      return res.status(400).json({ error: 'Invalid output format', details: 'streaming only writes JSON' });
+    }
+    
+    const textMode = req.query.textMode || (output.format === 'json' ? 'items' : 'paragraphs');
+    if (!['items', 'lines', 'paragraphs'].includes(textMode)) {
+      return res.status(400).json({ error: 'Invalid text mode', details: "textMode must be 'items', 'lines' or 'paragraphs'" });
+    }
+    
+    // OCR is opt-in: ?ocr=auto only touches pages that look scanned,
+    // ?ocr=force recognizes every page
+    const ocrMode = req.query.ocr === '1' || req.query.ocr === 'true' ? 'auto' : req.query.ocr;
+    if (ocrMode && !['auto', 'force'].includes(ocrMode)) {
+      return res.status(400).json({ error: 'Invalid OCR mode', details: "ocr must be 'auto' or 'force'" });
+    }
+    let languages;
+    try {
+      languages = parseLanguages(req.query.ocrLang);
+    } catch (languageError) {
+      return res.status(400).json({ error: 'Invalid OCR language', details: languageError.message });
+    }
+    
+    // Images are kept as JPEG when the PDF stores them that way, unless
+    // ?imageFormat=, ?imageQuality= or ?imageMaxSize= ask for recompression
+    let imageOptions;
+    try {
+      imageOptions = parseImageOptions(req.query);
+    } catch (imageError) {
+      return res.status(400).json({ error: 'Invalid image options', details: imageError.message });
+    }
+    
+    // ?tables=1 turns tables into 'table' elements with rows, cells and a
+    // CSV export
+    const tables = req.query.tables === '1' || req.query.tables === 'true';
+    
+    // ?barcodes=1 reads the QR codes in images into their 'codes'
+    const barcodes = req.query.barcodes === '1' || req.query.barcodes === 'true';
+    
+    const settings = { textMode, ocrMode, languages, imageOptions, tables, barcodes };
+    
+    // Async mode answers 202 with the job at once; ?webhook= is called when
+    // it is done
+    if (wantsAsync(req)) {
+      let webhook;
+      if (req.query.webhook) {
+        try {
+          webhook = await parseWebhookUrl(req.query.webhook, webhookHosts);
+        } catch (webhookError) {
+          return res.status(400).json({ error: 'Invalid webhook URL', details: webhookError.message });
+        }
+      }
       
-      // Get text content
-      const content = await page.getTextContent();
+      if (!(await chargePages(req, res, pageNumbers.length))) return;
       
-      // Process text elements
-      const textElements = content.items.map(item => {
-        const transform = item.transform;
-        return {
-          type: 'text',
-          text: item.str,
-          x: transform[4],
-          y: transform[5],
-          fontSize: item.height || Math.hypot(transform[0], transform[1]),
-          width: item.width,
-          height: item.height,
-          fontName: item.fontName
-        };
+      const job = await jobs.submit('pdfToJson', { buffer: req.file.buffer, password, pageNumbers, settings }, {
+        webhook,
+        numPages: pageNumbers.length,
+        owner: req.client && req.client.id
       });
-      
-      const elements = [...textElements];
-      
-      // Extract images
+      return res.status(202).location(`/jobs/${job.id}`).json({ ...job, statusUrl: `/jobs/${job.id}` });
+    }
+    
+    if (!(await chargePages(req, res, pageNumbers.length))) return;
+    
+    if (wantsNdjson(req)) {
+      const options = conversionOptions(req.file.buffer, settings);
       try {
-        const opList = await page.getOperatorList();
-        const ops = opList.fnArray;
-        const args = opList.argsArray;
-        
-        for (let j = 0; j < ops.length; j++) {
-          if (ops[j] === pdfjsLib.OPS.paintImageXObject ||
-              ops[j] === pdfjsLib.OPS.paintImageXObjectRepeat ||
-              ops[j] === pdfjsLib.OPS.paintJpegXObject) {
-            
-            const imgName = args[j][0];
-            
-            try {
-              const img = await page.objs.get(imgName);
-              
-              if (img && img.data) {
-                const canvas = createCanvas(img.width, img.height);
-                const ctx = canvas.getContext('2d');
-                const imgData = ctx.createImageData(img.width, img.height);
-                
-                for (let k = 0; k < img.data.length; k++) {
-                  imgData.data[k] = img.data[k];
-                }
-                
-                ctx.putImageData(imgData, 0, 0);
-                const dataURL = canvas.toDataURL('image/png');
-                
-                // Get transform matrix
-                let ctm = null;
-                for (let k = j - 1; k >= 0; k--) {
-                  if (ops[k] === pdfjsLib.OPS.setTransform) {
-                    ctm = args[k][0];
-                    break;
-                  }
-                }
-                
-                let x = 0;
-                let y = 0;
-                let width = img.width;
-                let height = img.height;
-                
-                if (ctm) {
-                  x = ctm[4];
-                  y = viewport.height - (ctm[5] + height);
-                  const scaleX = Math.hypot(ctm[0], ctm[1]);
-                  const scaleY = Math.hypot(ctm[2], ctm[3]);
-                  width = img.width * scaleX;
-                  height = img.height * scaleY;
-                }
-                
-                elements.push({
-                  type: 'image',
-                  x,
-                  y,
-                  width,
-                  height,
-                  src: dataURL
-                });
-              }
-            } catch (imgError) {
-              console.error(`Error processing image ${imgName}:`, imgError);
-            }
-          }
-        }
-      } catch (opError) {
-        console.error(`Error extracting images from page ${i}:`, opError);
+        return await streamPages(res, pdf, pageNumbers, {}, options);
+      } finally {
+        if (options.ocr) await options.ocr.terminate();
       }
-      
-      pages.push({
-        width: viewport.width,
-        height: viewport.height,
-        elements
-      });
     }
-
-    res.json({ pages });
+    
+    const doc = await convertPdf(pdf, req.file.buffer, pageNumbers, settings);
+    if (output.format !== 'json') {
+      return await sendExport(res, doc, output, req.file.originalname);
+    }
+    res.json(doc);
     
   } catch (error) {
+    if (sendPasswordError(res, error)) return;
     console.error('Error processing PDF:', error);
     res.status(500).json({ error: 'Failed to process PDF', details: error.message });
+  } finally {
+    if (pdf) await pdf.destroy();
+  }
+});
+
+// Clients only see their own jobs; others get the same 404 as for a job
+// that does not exist
+function ownsJob(req, job) {
+  return !job.owner || (req.client && req.client.id === job.owner);
+}
+
+// Job status - progress while it runs, and where to fetch the result once
+// it has succeeded
+app.get('/jobs/:id', async (req, res) => {
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job || !ownsJob(req, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    
+    res.json(job.status === 'succeeded' ? { ...job, resultUrl: `/jobs/${job.id}/result` } : job);
+  } catch (error) {
+    console.error('Error reading job:', error);
+    res.status(500).json({ error: 'Failed to read job', details: error.message });
+  }
+});
+
+// Job result - the converted document of a succeeded job, or its export
+// for ?format= as on /pdfToJson
+app.get('/jobs/:id/result', async (req, res) => {
+  let output;
+  try {
+    output = parseExportOptions(req.query);
+  } catch (formatError) {
+    return res.status(400).json({ error: 'Invalid output format', details: formatError.message });
+  }
+  
+  try {
+    const job = await jobs.get(req.params.id);
+    if (!job || !ownsJob(req, job)) {
+      return res.status(404).json({ error: 'Job not found' });
+    }
+    if (job.status !== 'succeeded') {
+      return res.status(409).json({
+        error: job.status === 'failed' ? 'Job failed' : 'Job not finished',
+        status: job.status,
+        details: job.error
+      });
+    }
+    
+    const doc = await jobs.getResult(job.id);
+    if (output.format !== 'json') {
+      return await sendExport(res, doc, output);
+    }
+    res.json(doc);
+  } catch (error) {
+    console.error('Error reading job result:', error);
+    res.status(500).json({ error: 'Failed to read job result', details: error.message });
   }
 });
 
-// JSON to PDF conversion endpoint - returns base64
+// Raw PDF bytes are sent for ?format=binary or when the client prefers
+// application/pdf; everyone else keeps getting the base64 JSON envelope
+function wantsBinaryPdf(req) {
+  if (req.query.format) {
+    return req.query.format === 'binary';
+  }
+  return req.accepts(['application/json', 'application/pdf']) === 'application/pdf';
+}
+
+// Reduce a caller-supplied name to a safe download name ending in .pdf
+function pdfFilename(name) {
+  const base = path.basename(String(name || ''))
+    .replace(/[\x00-\x1f\x7f"\\/]/g, '')
+    .trim();
+  
+  if (!base) return 'document.pdf';
+  return /\.pdf$/i.test(base) ? base : `${base}.pdf`;
+}
+
+// Send generated PDF bytes either raw or in the base64 JSON envelope.
+// Rendering warnings go into the envelope, or for binary responses into the
+// X-Render-Warnings header as a count with the unrenderable code points.
+function sendPdf(req, res, pdfBytes, name, warnings = []) {
+  const filename = pdfFilename(name);
+  
+  if (wantsBinaryPdf(req)) {
+    if (warnings.length > 0) {
+      const codes = new Set(warnings.flatMap(warning => warning.characters || [])
+        .map(char => 'U+' + char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')));
+      res.set('X-Render-Warnings', String(warnings.length));
+      if (codes.size > 0) res.set('X-Unrenderable-Characters', [...codes].join(' '));
+    }
+    res.attachment(filename);
+    return res.send(Buffer.from(pdfBytes));
+  }
+  
+  const base64Pdf = Buffer.from(pdfBytes).toString('base64');
+  
+  res.json({ 
+    success: true,
+    pdf: base64Pdf,
+    filename,
+    size: pdfBytes.length,
+    warnings
+  });
+}
+
+// JSON to PDF conversion endpoint - returns base64, or binary on request
 app.post('/jsonToPdf', async (req, res) => {
   try {
     console.log("Processing JSON to PDF conversion");
@@ -177,78 +517,473 @@ app.post('/jsonToPdf', async (req, res) => {
       jsonData = JSON.parse(jsonString);
     }
     
-    const { pages } = jsonData;
+    const violations = validateDocument(jsonData);
+    if (violations.length > 0) {
+      return res.status(422).json({ error: 'Invalid document', violations });
+    }
+    if (refuseUnsignable(res, jsonData)) return;
+    if (!(await chargePages(req, res, jsonData.pages.length))) return;
+    
+    const { pdfDoc, warnings } = await renderDocument(jsonData);
+    const pdfBytes = await saveDocument(pdfDoc, jsonData, warnings);
+    
+    sendPdf(req, res, pdfBytes, req.query.filename || jsonData.filename, warnings);
+    
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to create PDF');
+  }
+});
+
+// Template rendering endpoint - merges data into a layout, then renders it
+// exactly like /jsonToPdf
+app.post('/render', async (req, res) => {
+  try {
+    console.log("Processing template render");
+    
+    const { layout, data } = req.body || {};
+    
+    if (!layout || typeof layout !== 'object') {
+      return res.status(400).json({ error: 'Invalid request format. Expected { layout: {...}, data: {...} }' });
+    }
     
-    if (!pages || !Array.isArray(pages)) {
-      return res.status(400).json({ error: 'Invalid JSON format. Expected { pages: [...] }' });
+    const { document, violations: templateViolations } = expandTemplate(layout, data);
+    if (templateViolations.length > 0) {
+      return res.status(422).json({ error: 'Invalid template', violations: templateViolations });
     }
+    
+    const violations = validateDocument(document);
+    if (violations.length > 0) {
+      return res.status(422).json({ error: 'Rendered document is invalid', violations });
+    }
+    if (refuseUnsignable(res, document)) return;
+    if (!(await chargePages(req, res, document.pages.length))) return;
+    
+    const { pdfDoc, warnings } = await renderDocument(document);
+    const pdfBytes = await saveDocument(pdfDoc, document, warnings);
+    
+    sendPdf(req, res, pdfBytes, req.query.filename || req.body.filename || document.filename, warnings);
+    
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to render template');
+  }
+});
 
-    const pdfDoc = await PDFDocument.create();
-    const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
+// Overlay endpoint - draws JSON elements on top of the pages of an uploaded
+// PDF (file) without regenerating them. The overlay JSON comes as an
+// 'overlay' form field or file, with pages keyed by 0-based page index.
+app.post('/overlay', upload.fields([{ name: 'file', maxCount: 1 }, { name: 'overlay', maxCount: 1 }]), async (req, res) => {
+  console.log("Processing PDF overlay");
+  
+  const file = req.files && req.files.file && req.files.file[0];
+  if (!file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const overlayFile = req.files.overlay && req.files.overlay[0];
+  const overlayText = overlayFile ? overlayFile.buffer.toString() : req.body && req.body.overlay;
+  if (!overlayText) {
+    return res.status(400).json({ error: 'No overlay given. Send the overlay JSON as an overlay field or file' });
+  }
+  
+  let overlay;
+  try {
+    overlay = JSON.parse(overlayText);
+  } catch (parseError) {
+    return res.status(400).json({ error: 'Invalid overlay JSON', details: parseError.message });
+  }
+  
+  const violations = validateOverlay(overlay);
+  if (violations.length > 0) {
+    return res.status(422).json({ error: 'Invalid overlay', violations });
+  }
+  if (refuseUnsignable(res, overlay)) return;
+  
+  try {
+    // The page count is only known once the PDF is loaded
+    const pdfDoc = await loadPdf(file.buffer);
+    if (!(await chargePages(req, res, pdfDoc.getPageCount()))) return;
+    const { warnings } = await overlayDocument(pdfDoc, overlay);
+    const pdfBytes = await saveDocument(pdfDoc, overlay, warnings);
+    
+    sendPdf(req, res, pdfBytes, req.query.filename || overlay.filename || file.originalname, warnings);
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to overlay PDF');
+  }
+});
 
-    for (const pageData of pages) {
-      const page = pdfDoc.addPage([pageData.width, pageData.height]);
-      
-      const sortedElements = [...pageData.elements].sort((a, b) => {
-        if (a.type === 'image' && b.type === 'text') return -1;
-        if (a.type === 'text' && b.type === 'image') return 1;
-        return 0;
-      });
+// Read ?format=png|jpeg|webp, ?dpi=, ?width= (pixels, wins over dpi) and
+// ?quality= for /render/pages. Throws with a message for bad values.
+function rasterOptions(query) {
+  const format = String(query.format || 'png').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!IMAGE_FORMATS[format]) {
+    throw new Error(`format must be one of ${Object.keys(IMAGE_FORMATS).join(', ')}`);
+  }
+  
+  const number = (name, min, max) => {
+    if (query[name] === undefined) return undefined;
+    const value = Number(query[name]);
+    if (!Number.isFinite(value) || value < min || value > max) {
+      throw new Error(`${name} must be a number from ${min} to ${max}`);
+    }
+    return value;
+  };
+  
+  return {
+    format,
+    dpi: number('dpi', 1, 600) || 72,
+    width: number('width', 1, 6000),
+    quality: Math.round(number('quality', 1, 100) || 80)
+  };
+}
 
-      for (const element of sortedElements) {
-        if (element.type === 'text') {
-          page.drawText(element.text, {
-            x: element.x,
-            y: pageData.height - element.y,
-            size: element.fontSize || 12,
-            font,
-            color: rgb(0, 0, 0)
-          });
-        } else if (element.type === 'image' && element.src) {
-          try {
-            const imageBytes = Buffer.from(
-              element.src.replace(/^data:image\/\w+;base64,/, ''),
-              'base64'
-            );
-            
-            let image;
-            if (element.src.includes('image/png')) {
-              image = await pdfDoc.embedPng(imageBytes);
-            } else if (element.src.includes('image/jpeg')) {
-              image = await pdfDoc.embedJpg(imageBytes);
-            } else {
-              image = await pdfDoc.embedPng(imageBytes);
-            }
-            
-            page.drawImage(image, {
-              x: element.x,
-              y: pageData.height - element.y - element.height,
-              width: element.width,
-              height: element.height
-            });
-          } catch (imgError) {
-            console.error('Error embedding image:', imgError);
-          }
-        }
+// Page previews - rasterizes an uploaded PDF, or a JSON document after
+// rendering it exactly like /jsonToPdf. Returns the pages as image data URLs,
+// or the raw image when one page is selected and the client accepts it.
+app.post('/render/pages', upload.single('file'), async (req, res) => {
+  try {
+    console.log("Processing page rasterization");
+    
+    let options;
+    try {
+      options = rasterOptions(req.query);
+    } catch (optionError) {
+      return res.status(400).json({ error: 'Invalid image options', details: optionError.message });
+    }
+    
+    // Documents are charged before they are rendered, PDFs once they are
+    // loaded and their page count is known
+    let pdfBytes;
+    let charged = false;
+    if (req.file) {
+      pdfBytes = req.file.buffer;
+    } else if (req.body && Array.isArray(req.body.pages)) {
+      const violations = validateDocument(req.body);
+      if (violations.length > 0) {
+        return res.status(422).json({ error: 'Invalid document', violations });
+      }
+      let selected;
+      try {
+        selected = parsePageRanges(req.query.pages, req.body.pages.length);
+      } catch (rangeError) {
+        return res.status(400).json({ error: 'Invalid page selection', details: rangeError.message });
+      }
+      if (!(await chargePages(req, res, selected.length))) return;
+      charged = true;
+      
+      const { pdfDoc } = await renderDocument(req.body);
+      pdfBytes = await pdfDoc.save();
+    } else {
+      return res.status(400).json({ error: 'Upload a PDF as file or send a JSON document' });
+    }
+    
+    const pdf = await loadDocument(pdfBytes, req.file ? passwordOf(req) : undefined);
+    try {
+      let pageNumbers;
+      try {
+        pageNumbers = parsePageRanges(req.query.pages, pdf.numPages);
+      } catch (rangeError) {
+        return res.status(400).json({ error: 'Invalid page selection', details: rangeError.message });
       }
+      if (!charged && !(await chargePages(req, res, pageNumbers.length))) return;
+      
+      const { mime } = IMAGE_FORMATS[options.format];
+      if (pageNumbers.length === 1 && req.accepts(['application/json', mime]) === mime) {
+        const image = await rasterizePage(await pdf.getPage(pageNumbers[0]), options);
+        return res.type(mime).send(image.data);
+      }
+      
+      const pages = [];
+      for (const pageNumber of pageNumbers) {
+        const page = await pdf.getPage(pageNumber);
+        const image = await rasterizePage(page, options);
+        page.cleanup();
+      
+        pages.push({
+          pageNumber,
+          width: image.width,
+          height: image.height,
+          format: options.format,
+          size: image.data.length,
+          src: `data:${image.mime};base64,${image.data.toString('base64')}`
+        });
+      }
+      
+      res.json({ numPages: pdf.numPages, pages });
+    } finally {
+      await pdf.destroy();
     }
+    
+  } catch (error) {
+    if (sendPasswordError(res, error)) return;
+    console.error('Error rasterizing pages:', error);
+    res.status(500).json({ error: 'Failed to render pages', details: error.message });
+  }
+});
+
+// Page operation parameters come as multipart form fields next to the
+// uploaded files, or in the query string
+function operationParam(req, name) {
+  return req.body && req.body[name] !== undefined ? req.body[name] : req.query[name];
+}
+
+// Answer a failed page operation or rendering: bad page selections,
+// encrypted files and documents that cannot conform are the caller's
+// mistake, anything else is ours
+function sendOperationError(res, error, message) {
+  if (error.code === 'INVALID_PAGES') {
+    return res.status(400).json({ error: 'Invalid page selection', details: error.message });
+  }
+  if (error.code === 'ENCRYPTED') {
+    return res.status(422).json({ error: 'Encrypted PDF', details: 'encrypted PDFs cannot be edited; remove the password first' });
+  }
+  if (error.code === 'NONCONFORMING') {
+    return res.status(422).json({ error: 'Document cannot conform', details: error.message, violations: error.violations });
+  }
+  console.error(`${message}:`, error);
+  res.status(500).json({ error: message, details: error.message });
+}
 
+// Merge endpoint - joins the uploaded files in upload order. An optional
+// 'pages' selection per file (repeat the field, in the same order) picks
+// the pages taken from each.
+app.post('/merge', upload.array('files', 20), async (req, res) => {
+  console.log("Processing PDF merge");
+  
+  if (!req.files || req.files.length < 2) {
+    return res.status(400).json({ error: 'Upload at least two PDFs as files' });
+  }
+  
+  const selections = [].concat(operationParam(req, 'pages') || []);
+  if (selections.length > req.files.length) {
+    return res.status(400).json({ error: 'Invalid page selection', details: 'more page selections than files' });
+  }
+  
+  try {
+    const documents = [];
+    for (const file of req.files) documents.push(await loadPdf(file.buffer));
+    const pageCount = documents.reduce((sum, pdfDoc) => sum + pdfDoc.getPageCount(), 0);
+    if (!(await chargePages(req, res, pageCount))) return;
+    
+    const pdfDoc = await mergeDocuments(documents.map((source, i) => ({
+      pdfDoc: source,
+      pages: selections[i]
+    })));
     const pdfBytes = await pdfDoc.save();
-    const base64Pdf = Buffer.from(pdfBytes).toString('base64');
     
-    res.json({ 
-      success: true,
-      pdf: base64Pdf,
-      filename: 'document.pdf',
-      size: pdfBytes.length
-    });
+    sendPdf(req, res, pdfBytes, operationParam(req, 'filename') || 'merged.pdf');
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to merge PDFs');
+  }
+});
+
+// Split endpoint - one PDF per comma-separated range of 'ranges' (every
+// page on its own by default), returned as a zip
+app.post('/split', upload.single('file'), async (req, res) => {
+  console.log("Processing PDF split");
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  try {
+    const name = pdfFilename(req.file.originalname).replace(/\.pdf$/i, '');
+    const source = await loadPdf(req.file.buffer);
+    if (!(await chargePages(req, res, source.getPageCount()))) return;
+    const zipBytes = await splitDocument(source, operationParam(req, 'ranges'), name);
+    
+    res.attachment(`${name}.zip`);
+    res.send(zipBytes);
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to split PDF');
+  }
+});
+
+// Reorder endpoint - 'order' lists the pages in their new order, as a page
+// selection such as '3,1-2'; pages left out are removed
+app.post('/pages/reorder', upload.single('file'), async (req, res) => {
+  console.log("Processing page reorder");
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  const order = operationParam(req, 'order');
+  if (!order || !String(order).trim()) {
+    return res.status(400).json({ error: 'Invalid page selection', details: 'order is required' });
+  }
+  
+  try {
+    const pdfDoc = await loadPdf(req.file.buffer);
+    if (!(await chargePages(req, res, pdfDoc.getPageCount()))) return;
+    await reorderPages(pdfDoc, order);
+    const pdfBytes = await pdfDoc.save();
+    
+    sendPdf(req, res, pdfBytes, operationParam(req, 'filename') || req.file.originalname);
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to reorder pages');
+  }
+});
+
+// Rotate endpoint - turns the 'pages' selection (every page by default) by
+// 'angle' degrees clockwise
+app.post('/pages/rotate', upload.single('file'), async (req, res) => {
+  console.log("Processing page rotation");
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  let angle;
+  try {
+    angle = parseAngle(operationParam(req, 'angle'));
+  } catch (angleError) {
+    return res.status(400).json({ error: 'Invalid angle', details: angleError.message });
+  }
+  
+  try {
+    const pdfDoc = await loadPdf(req.file.buffer);
+    if (!(await chargePages(req, res, pdfDoc.getPageCount()))) return;
+    await rotatePages(pdfDoc, angle, operationParam(req, 'pages'));
+    const pdfBytes = await pdfDoc.save();
     
+    sendPdf(req, res, pdfBytes, operationParam(req, 'filename') || req.file.originalname);
+  } catch (error) {
+    sendOperationError(res, error, 'Failed to rotate pages');
+  }
+});
+
+// Signature report - lists the signatures in an uploaded PDF with their
+// signer, signing time, the bytes they cover and whether those are intact.
+// The file is only valid when the newest signature also covers all of it,
+// so that nothing was appended after the last signing.
+app.post('/verify', upload.single('file'), async (req, res) => {
+  console.log("Processing signature verification");
+  
+  if (!req.file) {
+    return res.status(400).json({ error: 'No file uploaded' });
+  }
+  
+  try {
+    const signatures = await verifySignatures(req.file.buffer);
+    res.json({
+      signed: signatures.length > 0,
+      valid: signatures.length > 0 && signatures.every(signature => signature.intact) &&
+        signatures[signatures.length - 1].coversWholeDocument,
+      signatures
+    });
   } catch (error) {
-    console.error('Error creating PDF:', error);
-    res.status(500).json({ error: 'Failed to create PDF', details: error.message });
+    console.error('Error verifying signatures:', error);
+    res.status(500).json({ error: 'Failed to verify signatures', details: error.message });
   }
 });
 
+// Read one side of a /diff: an uploaded PDF or JSON document, or a document
+// in the JSON body. Returns { pdfBytes } or { doc }, or null when missing.
+// Throws with a message for a file that is neither.
+function diffInput(req, name) {
+  const file = req.files && req.files[name] && req.files[name][0];
+  if (!file) {
+    const doc = req.body && req.body[name];
+    return doc && typeof doc === 'object' ? { doc } : null;
+  }
+  if (file.buffer.subarray(0, 1024).includes('%PDF-')) return { pdfBytes: file.buffer };
+  try {
+    return { doc: JSON.parse(file.buffer.toString()) };
+  } catch (parseError) {
+    throw new Error(`${name} is neither a PDF nor a JSON document`);
+  }
+}
+
+// Diff endpoint - compares two PDFs, or two documents in the /pdfToJson
+// format, sent as 'before' and 'after' files or as JSON { before, after }.
+// Returns the text and image changes of every page; ?pixels=1 adds a
+// pixel-diff overlay of every page rendered at ?dpi= (72 by default).
+// ?tolerance= is how many points an element may move before it counts.
+app.post('/diff', upload.fields([{ name: 'before', maxCount: 1 }, { name: 'after', maxCount: 1 }]), async (req, res) => {
+  console.log("Processing document diff");
+
+  const sides = {};
+  try {
+    for (const name of ['before', 'after']) {
+      sides[name] = diffInput(req, name);
+      if (!sides[name]) {
+        return res.status(400).json({ error: 'Send the two documents as before and after files, or as JSON { before, after }' });
+      }
+    }
+  } catch (inputError) {
+    return res.status(400).json({ error: 'Invalid input', details: inputError.message });
+  }
+
+  for (const [name, side] of Object.entries(sides)) {
+    if (!side.doc) continue;
+    const violations = validateDocument(side.doc);
+    if (violations.length > 0) {
+      return res.status(422).json({
+        error: 'Invalid document',
+        violations: violations.map(violation => ({ ...violation, path: `/${name}${violation.path}` }))
+      });
+    }
+  }
+
+  const textMode = req.query.textMode || 'lines';
+  if (!['items', 'lines', 'paragraphs'].includes(textMode)) {
+    return res.status(400).json({ error: 'Invalid text mode', details: "textMode must be 'items', 'lines' or 'paragraphs'" });
+  }
+  const tolerance = req.query.tolerance !== undefined ? Number(req.query.tolerance) : undefined;
+  if (tolerance !== undefined && !(tolerance >= 0 && tolerance <= 100)) {
+    return res.status(400).json({ error: 'Invalid tolerance', details: 'tolerance must be a number of points from 0 to 100' });
+  }
+  const pixels = req.query.pixels === '1' || req.query.pixels === 'true';
+  const dpi = req.query.dpi !== undefined ? Number(req.query.dpi) : 72;
+  if (!(dpi >= 1 && dpi <= 300)) {
+    return res.status(400).json({ error: 'Invalid image options', details: 'dpi must be a number from 1 to 300' });
+  }
+
+  try {
+    // Documents are charged before they are rendered, PDFs once they are
+    // loaded and their page count is known
+    for (const side of Object.values(sides)) {
+      if (side.pdfBytes) side.pdf = await loadDocument(side.pdfBytes);
+    }
+    const pageCount = side => (side.doc ? side.doc.pages.length : side.pdf.numPages);
+    if (!(await chargePages(req, res, pageCount(sides.before) + pageCount(sides.after)))) return;
+
+    // PDFs are compared as /pdfToJson reads them; documents are rendered
+    // like /jsonToPdf when their pixels are compared
+    for (const side of Object.values(sides)) {
+      if (side.doc && pixels) {
+        const { pdfDoc } = await renderDocument(side.doc);
+        side.pdfBytes = await pdfDoc.save();
+        side.pdf = await loadDocument(side.pdfBytes);
+      }
+    }
+
+    for (const side of Object.values(sides)) {
+      if (side.doc) continue;
+      const pageNumbers = Array.from({ length: side.pdf.numPages }, (_, i) => i + 1);
+      const settings = { textMode, imageOptions: parseImageOptions({}), tables: false, barcodes: false };
+      side.doc = await convertPdf(side.pdf, side.pdfBytes, pageNumbers, settings);
+    }
+
+    const diff = diffDocuments(sides.before.doc, sides.after.doc, { tolerance });
+    if (pixels) await addPixelDiffs(diff, sides.before.pdf, sides.after.pdf, dpi);
+    res.json(diff);
+
+  } catch (error) {
+    if (sendPasswordError(res, error)) return;
+    sendOperationError(res, error, 'Failed to compare documents');
+  } finally {
+    for (const side of Object.values(sides)) {
+      if (side && side.pdf) await side.pdf.destroy();
+    }
+  }
+});
+
+// Published JSON schema of the document format
+app.get('/schema', (req, res) => {
+  res.json(documentSchema);
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ status: 'healthy', timestamp: new Date().toISOString() });
@@ -347,6 +1082,15 @@ app.get('/', (req, res) => {
           background: #d5dbdb;
           border-color: #95a5a6;
         }
+        .key-input {
+          display: block;
+          width: 100%;
+          padding: 12px 20px;
+          border: 2px solid #bdc3c7;
+          border-radius: 8px;
+          font-size: 16px;
+          box-sizing: border-box;
+        }
         .file-input:focus-within + .file-input-label {
           outline: 2px solid #3498db;
           outline-offset: 2px;
@@ -446,6 +1190,12 @@ app.get('/', (req, res) => {
           <p>Convert PDFs to structured JSON and back to PDFs with preserved layout</p>
         </div>
         
+        <div class="card">
+          <h2>API Key</h2>
+          <input type="password" id="apiKey" class="key-input" autocomplete="off"
+            placeholder="Sent as X-API-Key; leave empty if authentication is disabled" />
+        </div>
+        
         <div class="card">
           <h2>
             <svg class="icon" viewBox="0 0 24 24" fill="none" stroke="#e74c3c" stroke-width="2">
@@ -509,17 +1259,9 @@ app.get('/', (req, res) => {
       </div>
       
       <script>
-        // Helper function to download base64 as file
-        function downloadBase64File(base64Data, filename, mimeType = 'application/pdf') {
+        // Helper function to download a blob as file
+        function downloadBlob(blob, filename) {
           try {
-            const byteCharacters = atob(base64Data);
-            const byteNumbers = new Array(byteCharacters.length);
-            for (let i = 0; i < byteCharacters.length; i++) {
-              byteNumbers[i] = byteCharacters.charCodeAt(i);
-            }
-            const byteArray = new Uint8Array(byteNumbers);
-            const blob = new Blob([byteArray], { type: mimeType });
-            
             const url = URL.createObjectURL(blob);
             const a = document.createElement('a');
             a.href = url;
@@ -534,6 +1276,25 @@ app.get('/', (req, res) => {
           }
         }
         
+        // Pick the file name out of a Content-Disposition header
+        function filenameFromResponse(response, fallback) {
+          const disposition = response.headers.get('Content-Disposition') || '';
+          const match = disposition.match(/filename="([^"]+)"/);
+          return match ? match[1] : fallback;
+        }
+        
+        // Keep the API key across visits and send it with every request
+        const apiKeyInput = document.getElementById('apiKey');
+        apiKeyInput.value = localStorage.getItem('apiKey') || '';
+        apiKeyInput.addEventListener('change', function() {
+          localStorage.setItem('apiKey', this.value.trim());
+        });
+        
+        function authHeaders(headers) {
+          const key = apiKeyInput.value.trim();
+          return key ? { ...headers, 'X-API-Key': key } : headers;
+        }
+        
         // Update file input labels when files are selected
         document.getElementById('pdfFile').addEventListener('change', function(e) {
           const label = this.nextElementSibling;
@@ -617,6 +1378,7 @@ app.get('/', (req, res) => {
             
             const response = await fetch('/pdfToJson', {
               method: 'POST',
+              headers: authHeaders({}),
               body: formData
             });
             
@@ -668,33 +1430,36 @@ app.get('/', (req, res) => {
             reader.onload = async function(e) {
               try {
                 const jsonData = JSON.parse(e.target.result);
+                const filename = file.name.replace(/\\.json$/i, '') + '.pdf';
                 
-                const response = await fetch('/jsonToPdf', {
+                const response = await fetch('/jsonToPdf?filename=' + encodeURIComponent(filename), {
                   method: 'POST',
-                  headers: {
-                    'Content-Type': 'application/json'
-                  },
+                  headers: authHeaders({
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/pdf'
+                  }),
                   body: JSON.stringify(jsonData)
                 });
                 
                 if (!response.ok) {
                   const error = await response.json();
-                  throw new Error(error.details || 'Failed to convert JSON to PDF');
+                  const violation = error.violations && error.violations[0];
+                  throw new Error(error.details ||
+                    (violation ? \`\${violation.path} \${violation.message}\` : 'Failed to convert JSON to PDF'));
                 }
                 
-                const result = await response.json();
-                
-                if (result.success && result.pdf) {
-                  // Download the PDF from base64
-                  downloadBase64File(result.pdf, result.filename || 'document.pdf');
-                  showStatus(statusDiv, 'success', 
-                    \`PDF generated successfully! Size: \${(result.size / 1024).toFixed(2)} KB. File downloaded.\`);
-                  fileInput.value = '';
-                  fileInput.nextElementSibling.textContent = '📝 Click to select JSON file or drag and drop';
-                  fileInput.nextElementSibling.style.color = '';
-                } else {
+                if (!(response.headers.get('Content-Type') || '').includes('application/pdf')) {
                   throw new Error('Invalid response format');
                 }
+                
+                // Download the PDF bytes as they came
+                const blob = await response.blob();
+                downloadBlob(blob, filenameFromResponse(response, filename));
+                showStatus(statusDiv, 'success', 
+                  \`PDF generated successfully! Size: \${(blob.size / 1024).toFixed(2)} KB. File downloaded.\`);
+                fileInput.value = '';
+                fileInput.nextElementSibling.textContent = '📝 Click to select JSON file or drag and drop';
+                fileInput.nextElementSibling.style.color = '';
               } catch (jsonError) {
                 console.error('Error:', jsonError);
                 showStatus(statusDiv, 'error', jsonError.message);
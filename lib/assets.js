@@ -0,0 +1,228 @@
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { PDFDocument, PDFName, PDFArray, PDFDict, PDFRawStream } = require('pdf-lib');
+const { ImageKind } = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Hex characters of the content hash used in asset ids
+const ID_LENGTH = 16;
+
+// Parse ?imageFormat=original|png|jpeg, ?imageQuality=1-100 and
+// ?imageMaxSize= (pixels, longest side). Throws with a message for bad values.
+function parseImageOptions(query = {}) {
+  const format = String(query.imageFormat || 'original').toLowerCase().replace(/^jpg$/, 'jpeg');
+  if (!['original', 'png', 'jpeg'].includes(format)) {
+    throw new Error('imageFormat must be original, png or jpeg');
+  }
+
+  const options = { format };
+  if (query.imageQuality !== undefined) {
+    const quality = Number(query.imageQuality);
+    if (!Number.isInteger(quality) || quality < 1 || quality > 100) {
+      throw new Error('imageQuality must be an integer from 1 to 100');
+    }
+    options.quality = quality;
+  }
+  if (query.imageMaxSize !== undefined) {
+    const maxSize = Number(query.imageMaxSize);
+    if (!Number.isInteger(maxSize) || maxSize < 1) {
+      throw new Error('imageMaxSize must be a positive integer');
+    }
+    options.maxSize = maxSize;
+  }
+  return options;
+}
+
+// Turn a decoded pdf.js image into sharp raw input. Every img.kind is
+// handled: 1 bit grayscale rows are unpacked, RGB stays three channels and
+// RGBA with a fully opaque alpha channel drops it.
+function rawPixels(img) {
+  const { width, height, kind } = img;
+  const data = Buffer.from(img.data.buffer, img.data.byteOffset, img.data.byteLength);
+
+  if (kind === ImageKind.GRAYSCALE_1BPP) {
+    const rowBytes = (width + 7) >> 3;
+    const gray = Buffer.alloc(width * height);
+    for (let y = 0; y < height; y++) {
+      for (let x = 0; x < width; x++) {
+        const bit = data[y * rowBytes + (x >> 3)] & (128 >> (x & 7));
+        gray[y * width + x] = bit ? 255 : 0;
+      }
+    }
+    return { data: gray, channels: 1, width, height };
+  }
+
+  const channels = kind === ImageKind.RGB_24BPP ? 3 : 4;
+  if (data.length < width * height * channels) {
+    throw new Error(`image data is shorter than ${width}x${height}x${channels}`);
+  }
+
+  if (channels === 4) {
+    let opaque = true;
+    for (let i = 3; i < width * height * 4; i += 4) {
+      if (data[i] !== 255) {
+        opaque = false;
+        break;
+      }
+    }
+    if (opaque) {
+      const rgb = Buffer.alloc(width * height * 3);
+      for (let i = 0, j = 0; i < width * height * 4; i += 4, j += 3) {
+        rgb[j] = data[i];
+        rgb[j + 1] = data[i + 1];
+        rgb[j + 2] = data[i + 2];
+      }
+      return { data: rgb, channels: 3, width, height };
+    }
+  }
+
+  return { data: data.subarray(0, width * height * channels), channels, width, height };
+}
+
+function hashOf(...parts) {
+  const hash = crypto.createHash('sha256');
+  for (const part of parts) hash.update(part);
+  return hash.digest('hex').slice(0, ID_LENGTH);
+}
+
+// The encoded JPEG streams (DCTDecode) of a page's image XObjects, found
+// with pdf-lib since pdf.js only hands out decoded pixels. Images with soft
+// masks, Decode arrays or CMYK/indexed colors are left out, as their JPEG
+// alone would not look the same. Form XObjects are searched too.
+function jpegStreamsOf(pdfDoc, pageIndex) {
+  const page = pdfDoc.getPages()[pageIndex];
+  const jpegs = [];
+  const seen = new Set();
+  if (!page) return jpegs;
+
+  const visit = (resources, depth) => {
+    const xObjects = resources && resources.lookupMaybe(PDFName.of('XObject'), PDFDict);
+    if (!xObjects || depth > 5) return;
+
+    for (const [, ref] of xObjects.entries()) {
+      const stream = pdfDoc.context.lookup(ref);
+      if (!(stream instanceof PDFRawStream) || seen.has(stream)) continue;
+      seen.add(stream);
+
+      const { dict } = stream;
+      const subtype = dict.lookup(PDFName.of('Subtype'));
+      if (subtype === PDFName.of('Form')) {
+        visit(dict.lookupMaybe(PDFName.of('Resources'), PDFDict), depth + 1);
+        continue;
+      }
+      if (subtype !== PDFName.of('Image')) continue;
+
+      let filter = dict.lookup(PDFName.of('Filter'));
+      if (filter instanceof PDFArray && filter.size() === 1) filter = filter.lookup(0);
+      const colorSpace = dict.lookup(PDFName.of('ColorSpace'));
+      const simpleColors = colorSpace === PDFName.of('DeviceRGB') ||
+        colorSpace === PDFName.of('DeviceGray') ||
+        (colorSpace instanceof PDFArray && colorSpace.lookup(0) === PDFName.of('ICCBased'));
+
+      if (filter !== PDFName.of('DCTDecode') || !simpleColors ||
+          dict.has(PDFName.of('SMask')) || dict.has(PDFName.of('Mask')) || dict.has(PDFName.of('Decode'))) {
+        continue;
+      }
+
+      jpegs.push({
+        width: dict.lookup(PDFName.of('Width')).asNumber(),
+        height: dict.lookup(PDFName.of('Height')).asNumber(),
+        bytes: Buffer.from(stream.contents)
+      });
+    }
+  };
+
+  visit(page.node.Resources(), 0);
+  return jpegs;
+}
+
+// Collects the images of one extraction into a table of assets keyed by a
+// hash of their content, so an image used on many pages is stored once.
+// sourceBytes is the original PDF, needed to keep JPEGs in their original
+// encoding; options come from parseImageOptions.
+function createAssetStore(sourceBytes, options = {}) {
+  const { format = 'original', quality, maxSize } = options;
+  const table = {};
+  const byObject = new Map();
+  const jpegsByPage = new Map();
+  let pdfDoc = null;
+
+  async function jpegsOf(pageIndex) {
+    if (!sourceBytes) return [];
+    if (!jpegsByPage.has(pageIndex)) {
+      try {
+        if (!pdfDoc) {
+          pdfDoc = await PDFDocument.load(sourceBytes, { ignoreEncryption: true, updateMetadata: false });
+        }
+        // pdf-lib cannot decrypt, so encrypted files have no usable JPEGs
+        jpegsByPage.set(pageIndex, pdfDoc.isEncrypted ? [] : jpegStreamsOf(pdfDoc, pageIndex));
+      } catch (error) {
+        console.error('Error reading JPEG streams:', error.message);
+        jpegsByPage.set(pageIndex, []);
+      }
+    }
+    return jpegsByPage.get(pageIndex);
+  }
+
+  // The original JPEG of a decoded image, when exactly one encoding of that
+  // size is drawn on the page
+  async function originalJpeg(img, pageIndex) {
+    if (img.kind === ImageKind.RGBA_32BPP) return null;
+    const candidates = (await jpegsOf(pageIndex))
+      .filter(jpeg => jpeg.width === img.width && jpeg.height === img.height);
+    const distinct = new Set(candidates.map(jpeg => hashOf(jpeg.bytes)));
+    return distinct.size === 1 ? candidates[0].bytes : null;
+  }
+
+  async function encode(img, pageIndex) {
+    const jpeg = format !== 'png' ? await originalJpeg(img, pageIndex) : null;
+    const resize = maxSize && Math.max(img.width, img.height) > maxSize;
+
+    if (jpeg && !resize && !quality) {
+      return { bytes: jpeg, mime: 'image/jpeg', width: img.width, height: img.height, hash: hashOf(jpeg) };
+    }
+
+    const raw = jpeg ? null : rawPixels(img);
+    const hash = jpeg ? hashOf(jpeg) : hashOf(String(raw.width), 'x', String(raw.height), 'x', String(raw.channels), raw.data);
+    let image = jpeg
+      ? sharp(jpeg)
+      : sharp(raw.data, { raw: { width: raw.width, height: raw.height, channels: raw.channels } });
+    if (resize) image = image.resize({ width: maxSize, height: maxSize, fit: 'inside' });
+
+    // Transparency only survives in PNG
+    const toJpeg = (format === 'jpeg' || (format === 'original' && jpeg)) && !(raw && raw.channels === 4);
+    image = toJpeg
+      ? image.jpeg({ quality: quality || 85, mozjpeg: true })
+      : image.png({ compressionLevel: 9, adaptiveFiltering: true, ...(quality ? { quality } : {}) });
+
+    const { data, info } = await image.toBuffer({ resolveWithObject: true });
+    return { bytes: data, mime: toJpeg ? 'image/jpeg' : 'image/png', width: info.width, height: info.height, hash };
+  }
+
+  return {
+    assets: table,
+
+    // Add a decoded pdf.js image drawn on page pageIndex (0-based) and
+    // return its asset id. objId is the pdf.js object id, so an image met
+    // again is not converted twice.
+    async addImage(img, { pageIndex, objId }) {
+      // Ids starting with 'g_' are shared by the whole document
+      const key = objId && objId.startsWith('g_') ? objId : `${pageIndex}:${objId}`;
+      if (byObject.has(key)) return byObject.get(key);
+
+      const encoded = await encode(img, pageIndex);
+      const id = `img-${encoded.hash}`;
+      if (!table[id]) {
+        table[id] = {
+          src: `data:${encoded.mime};base64,${encoded.bytes.toString('base64')}`,
+          width: encoded.width,
+          height: encoded.height,
+          size: encoded.bytes.length
+        };
+      }
+      byObject.set(key, id);
+      return id;
+    }
+  };
+}
+
+module.exports = { parseImageOptions, rawPixels, createAssetStore };
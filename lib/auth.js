@@ -0,0 +1,326 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+// Limits for clients that do not set their own: requests per window, and
+// pages per calendar month (0 for no quota)
+const DEFAULT_LIMITS = { rateLimit: 60, rateWindow: 60, monthlyPages: 0 };
+
+const hashKey = key => crypto.createHash('sha256').update(String(key)).digest('hex');
+
+// Calendar month (UTC) that page quotas count in, as '2024-05'
+const monthOf = date => date.toISOString().slice(0, 7);
+
+// Key stores look up the client of an API key. A client is { id, name,
+// rateLimit, rateWindow, monthlyPages }, with the limits optional. Every
+// method is async, so a store backed by a database can take their place.
+
+// Clients given as a list of { id, key | keyHash, ... }. keyHash is the hex
+// sha256 of the key, so that key files need not hold the keys themselves.
+function createMemoryKeyStore(clients = []) {
+  const byHash = new Map();
+  for (const client of clients) {
+    const { key, keyHash, ...rest } = client;
+    if (!client.id || (!key && !keyHash)) {
+      throw new Error('every API client needs an id and a key or keyHash');
+    }
+    byHash.set(keyHash ? keyHash.toLowerCase() : hashKey(key), rest);
+  }
+
+  return {
+    async findByKey(key) {
+      const client = byHash.get(hashKey(key));
+      return client ? { ...client } : null;
+    }
+  };
+}
+
+// Clients kept in a JSON file holding a list of them; the file is read again
+// whenever it changes, so keys can be added without a restart
+function createFileKeyStore(file) {
+  let loaded = null;
+  let loadedAt = 0;
+
+  const current = () => {
+    const { mtimeMs } = fs.statSync(file);
+    if (!loaded || mtimeMs !== loadedAt) {
+      loaded = createMemoryKeyStore(JSON.parse(fs.readFileSync(file, 'utf8')));
+      loadedAt = mtimeMs;
+    }
+    return loaded;
+  };
+  // Fail at startup on a missing or broken file, not on the first request
+  current();
+
+  return {
+    async findByKey(key) {
+      return current().findByKey(key);
+    }
+  };
+}
+
+// Usage stores count requests in the current rate limit window and pages
+// per month for every client
+
+function createMemoryUsageStore() {
+  const windows = new Map();
+  const pages = new Map();
+  let nextSweep = 0;
+  let pagesMonth = null;
+
+  return {
+    // Count a request and return { count, resetAt } for the window it falls in.
+    // Expired windows are dropped once per window length, so clients that
+    // stop calling do not stay in memory.
+    async hit(clientId, windowSeconds) {
+      const now = Date.now();
+      if (now >= nextSweep) {
+        for (const [id, expired] of windows) {
+          if (expired.resetAt <= now) windows.delete(id);
+        }
+        nextSweep = now + windowSeconds * 1000;
+      }
+      let window = windows.get(clientId);
+      if (!window || window.resetAt <= now) {
+        window = { count: 0, resetAt: now + windowSeconds * 1000 };
+        windows.set(clientId, window);
+      }
+      window.count++;
+      return { ...window };
+    },
+
+    async getPages(clientId, month) {
+      return pages.get(`${clientId}/${month}`) || 0;
+    },
+
+    // Counts from earlier months are no longer read, so they go as soon as
+    // a new month starts
+    async addPages(clientId, month, count) {
+      if (month !== pagesMonth) {
+        for (const key of pages.keys()) {
+          if (!key.endsWith(`/${month}`)) pages.delete(key);
+        }
+        pagesMonth = month;
+      }
+      const key = `${clientId}/${month}`;
+      pages.set(key, (pages.get(key) || 0) + count);
+      return pages.get(key);
+    }
+  };
+}
+
+// Keeps each client's usage in {dir}/{client id}.json, so that it survives
+// restarts. Processes sharing the directory may lose a count now and then
+// when they write at the same moment.
+function createFileUsageStore(dir = path.join(os.tmpdir(), 'pdf-json-usage')) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const usageFile = clientId => path.join(dir, `${hashKey(clientId).slice(0, 32)}.json`);
+
+  const read = async clientId => {
+    try {
+      return JSON.parse(await fs.promises.readFile(usageFile(clientId), 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return { window: null, months: {} };
+      throw error;
+    }
+  };
+
+  const write = async (clientId, usage) => {
+    const file = usageFile(clientId);
+    const partial = `${file}.${process.pid}`;
+    await fs.promises.writeFile(partial, JSON.stringify(usage));
+    await fs.promises.rename(partial, file);
+  };
+
+  return {
+    async hit(clientId, windowSeconds) {
+      const usage = await read(clientId);
+      const now = Date.now();
+      if (!usage.window || usage.window.resetAt <= now) {
+        usage.window = { count: 0, resetAt: now + windowSeconds * 1000 };
+      }
+      usage.window.count++;
+      await write(clientId, usage);
+      return { ...usage.window };
+    },
+
+    async getPages(clientId, month) {
+      return (await read(clientId)).months[month] || 0;
+    },
+
+    async addPages(clientId, month, count) {
+      const usage = await read(clientId);
+      usage.months[month] = (usage.months[month] || 0) + count;
+      await write(clientId, usage);
+      return usage.months[month];
+    }
+  };
+}
+
+// Check an HS256 JSON Web Token and return its claims. Throws with a
+// message for bad signatures, other algorithms and expired tokens.
+function verifyJwt(token, secret) {
+  const parts = token.split('.');
+  if (parts.length !== 3) throw new Error('token is not a JWT');
+  const [header, payload, signature] = parts;
+
+  let alg;
+  let claims;
+  try {
+    alg = JSON.parse(Buffer.from(header, 'base64url').toString()).alg;
+    claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+  } catch (parseError) {
+    throw new Error('token is not a JWT');
+  }
+  if (alg !== 'HS256') throw new Error('token must be signed with HS256');
+
+  const expected = crypto.createHmac('sha256', secret).update(`${header}.${payload}`).digest();
+  const given = Buffer.from(signature, 'base64url');
+  if (given.length !== expected.length || !crypto.timingSafeEqual(given, expected)) {
+    throw new Error('token signature does not match');
+  }
+
+  const now = Date.now() / 1000;
+  if (typeof claims.exp === 'number' && now >= claims.exp) throw new Error('token has expired');
+  if (typeof claims.nbf === 'number' && now < claims.nbf) throw new Error('token is not valid yet');
+  if (!claims.sub) throw new Error('token has no subject');
+  return claims;
+}
+
+// Authentication, rate limiting and page quotas for the API. Clients send
+// their API key in X-API-Key (or as a bearer token); with jwtSecret, HS256
+// bearer tokens are accepted too and their 'sub' claim names the client.
+// Paths in publicPaths skip all of it.
+function createAuth({ keys, usage = createMemoryUsageStore(), jwtSecret, limits = {}, publicPaths = [] }) {
+  const defaults = { ...DEFAULT_LIMITS };
+  for (const [name, value] of Object.entries(limits)) {
+    if (Number.isFinite(value)) defaults[name] = value;
+  }
+
+  const findClient = async req => {
+    const header = req.get('Authorization') || '';
+    const bearer = /^Bearer\s+(.+)$/i.exec(header);
+    const key = req.get('X-API-Key') || (bearer && bearer[1].trim());
+    if (!key) throw new Error('send an API key in the X-API-Key header');
+
+    if (jwtSecret && key.split('.').length === 3) {
+      const claims = verifyJwt(key, jwtSecret);
+      const client = { id: `jwt:${claims.sub}`, name: claims.name };
+      for (const limit of Object.keys(DEFAULT_LIMITS)) {
+        if (typeof claims[limit] === 'number') client[limit] = claims[limit];
+      }
+      return client;
+    }
+
+    const client = keys ? await keys.findByKey(key) : null;
+    if (!client) throw new Error('API key is not valid');
+    return client;
+  };
+
+  const limitOf = (client, name) => (client[name] !== undefined ? client[name] : defaults[name]);
+
+  const middleware = async (req, res, next) => {
+    if (publicPaths.includes(req.path)) return next();
+
+    try {
+      try {
+        req.client = await findClient(req);
+      } catch (authError) {
+        res.set('WWW-Authenticate', jwtSecret ? 'Bearer' : 'ApiKey');
+        return res.status(401).json({ error: 'Unauthorized', details: authError.message });
+      }
+
+      const rateLimit = limitOf(req.client, 'rateLimit');
+      if (rateLimit > 0) {
+        const rateWindow = limitOf(req.client, 'rateWindow');
+        const { count, resetAt } = await usage.hit(req.client.id, rateWindow);
+        const reset = Math.max(0, Math.ceil((resetAt - Date.now()) / 1000));
+        res.set({
+          'RateLimit-Policy': `${rateLimit};w=${rateWindow}`,
+          'RateLimit-Limit': String(rateLimit),
+          'RateLimit-Remaining': String(Math.max(0, rateLimit - count)),
+          'RateLimit-Reset': String(reset)
+        });
+        if (count > rateLimit) {
+          res.set('Retry-After', String(reset));
+          return res.status(429).json({
+            error: 'Too many requests',
+            details: `at most ${rateLimit} requests every ${rateWindow} seconds`
+          });
+        }
+      }
+
+      // A client whose quota is used up is turned away before its upload is
+      // read; routes charge the pages they actually process. Reads (such as
+      // fetching the result of a job) stay open.
+      const quota = req.method === 'POST' ? await quotaOf(req.client) : null;
+      if (quota && quota.remaining <= 0) {
+        setQuotaHeaders(res, quota);
+        return res.status(429).json({ error: 'Quota exceeded', details: `monthly quota of ${quota.limit} pages used up` });
+      }
+
+      next();
+    } catch (error) {
+      next(error);
+    }
+  };
+
+  const quotaOf = async client => {
+    const limit = limitOf(client, 'monthlyPages');
+    if (!limit) return null;
+    const used = await usage.getPages(client.id, monthOf(new Date()));
+    return { limit, used, remaining: Math.max(0, limit - used) };
+  };
+
+  const setQuotaHeaders = (res, quota) => {
+    res.set({ 'Quota-Limit': String(quota.limit), 'Quota-Remaining': String(quota.remaining) });
+  };
+
+  return {
+    middleware,
+
+    // Count pages against the client's monthly quota. Returns false, having
+    // answered 429, when they do not fit in what is left of it.
+    async chargePages(req, res, pages) {
+      if (!req.client) return true;
+      const quota = await quotaOf(req.client);
+      if (!quota) return true;
+
+      if (pages > quota.remaining) {
+        setQuotaHeaders(res, quota);
+        res.status(429).json({
+          error: 'Quota exceeded',
+          details: `${pages} pages do not fit in the ${quota.remaining} left of the monthly quota of ${quota.limit}`
+        });
+        return false;
+      }
+
+      const used = await usage.addPages(req.client.id, monthOf(new Date()), pages);
+      setQuotaHeaders(res, { limit: quota.limit, remaining: Math.max(0, quota.limit - used) });
+      return true;
+    }
+  };
+}
+
+// API clients from API_KEYS ('id:key' pairs separated by commas), or null
+// when there are none
+function parseKeyList(value) {
+  if (!value) return null;
+  return createMemoryKeyStore(String(value).split(',').map(pair => pair.trim()).filter(Boolean).map(pair => {
+    const separator = pair.indexOf(':');
+    if (separator <= 0) throw new Error('API_KEYS entries must look like id:key');
+    return { id: pair.slice(0, separator), key: pair.slice(separator + 1) };
+  }));
+}
+
+module.exports = {
+  createMemoryKeyStore,
+  createFileKeyStore,
+  createMemoryUsageStore,
+  createFileUsageStore,
+  verifyJwt,
+  parseKeyList,
+  createAuth
+};
@@ -0,0 +1,141 @@
+const bwipjs = require('bwip-js');
+const jsQR = require('jsqr');
+const {
+  pushGraphicsState,
+  popGraphicsState,
+  setFillingColor,
+  rectangle,
+  fill
+} = require('pdf-lib');
+const { parseColor } = require('./colors');
+
+// bwip-js encoders of the 'barcode' symbologies, with the quiet zone (in
+// modules) each one needs around it by default
+const SYMBOLOGIES = {
+  code128: { bcid: 'code128', quietZone: 10 },
+  ean13: { bcid: 'ean13', quietZone: 11 },
+  datamatrix: { bcid: 'datamatrix', quietZone: 1 }
+};
+const QR_CODE = { bcid: 'qrcode', quietZone: 4 };
+
+// Images are only searched for QR codes up to this many pixels
+const MAX_SCAN_PIXELS = 4000000;
+
+const symbologyOf = element => (element.type === 'qrcode' ? QR_CODE : SYMBOLOGIES[element.symbology]);
+
+// Encode a 'qrcode' or 'barcode' element as { modules } (rows of dark or
+// light modules) for 2D codes, or { bars } (widths in modules of bar,
+// space, bar...) for linear ones. Throws when the value cannot be encoded,
+// such as an EAN-13 with a wrong check digit.
+function encodeBarcode(element) {
+  const options = { bcid: symbologyOf(element).bcid, text: String(element.value) };
+  if (element.type === 'qrcode') options.eclevel = element.errorCorrection || 'M';
+
+  let encoded;
+  try {
+    [encoded] = bwipjs.raw(options);
+  } catch (error) {
+    // bwip-js names the PostScript routine that failed before the reason
+    throw new Error(String(error.message || error).replace(/^bwipp\.\w+#\d+:\s*/, ''));
+  }
+
+  if (encoded.sbs) return { bars: encoded.sbs };
+  const modules = [];
+  for (let row = 0; row < encoded.pixy; row++) {
+    modules.push(Array.from(encoded.pixs.slice(row * encoded.pixx, (row + 1) * encoded.pixx), Boolean));
+  }
+  return { modules };
+}
+
+// Draw a 'qrcode' or 'barcode' element, encoded by encodeBarcode, as
+// filled rectangles inside its box. 2D codes keep square modules and are
+// centered; linear codes stretch their bars over the full height. quietZone
+// (in modules) is kept clear on every side of 2D codes and left and right
+// of linear ones.
+function drawBarcode(page, element, code, pageHeight) {
+  const quietZone = element.quietZone !== undefined ? element.quietZone : symbologyOf(element).quietZone;
+  const bottom = pageHeight - element.y - element.height;
+  const rects = [];
+
+  if (code.modules) {
+    const rows = code.modules.length;
+    const columns = code.modules[0].length;
+    const size = Math.min(element.width / (columns + 2 * quietZone), element.height / (rows + 2 * quietZone));
+    const left = element.x + (element.width - columns * size) / 2;
+    const top = bottom + element.height - (element.height - rows * size) / 2;
+
+    code.modules.forEach((row, r) => {
+      // Runs of dark modules become one rectangle, so no seams show
+      // between neighbours
+      for (let c = 0; c < columns; c++) {
+        if (!row[c]) continue;
+        const start = c;
+        while (c + 1 < columns && row[c + 1]) c++;
+        rects.push([left + start * size, top - (r + 1) * size, (c - start + 1) * size, size]);
+      }
+    });
+  } else {
+    const total = code.bars.reduce((sum, width) => sum + width, 0);
+    const module = element.width / (total + 2 * quietZone);
+    let x = element.x + quietZone * module;
+    code.bars.forEach((width, i) => {
+      if (i % 2 === 0) rects.push([x, bottom, width * module, element.height]);
+      x += width * module;
+    });
+  }
+
+  if (element.backgroundColor) {
+    page.drawRectangle({
+      x: element.x,
+      y: bottom,
+      width: element.width,
+      height: element.height,
+      color: parseColor(element.backgroundColor)
+    });
+  }
+  page.pushOperators(
+    pushGraphicsState(),
+    setFillingColor(parseColor(element.color || '#000000')),
+    ...rects.map(rect => rectangle(...rect)),
+    fill(),
+    popGraphicsState()
+  );
+}
+
+// QR codes in a decoded image, as { symbology, value, x, y, width, height }
+// with the box in page coordinates. pixels are the image's raw { data,
+// channels, width, height }; toPage maps a point of the image (0,0 top-left,
+// 1,1 bottom-right) onto the page.
+function findQrCodes(pixels, toPage) {
+  const { data, channels, width, height } = pixels;
+  if (width * height > MAX_SCAN_PIXELS) return [];
+
+  const rgba = new Uint8ClampedArray(width * height * 4);
+  for (let i = 0; i < width * height; i++) {
+    const source = data.subarray(i * channels, i * channels + channels);
+    rgba[i * 4] = source[0];
+    rgba[i * 4 + 1] = channels >= 3 ? source[1] : source[0];
+    rgba[i * 4 + 2] = channels >= 3 ? source[2] : source[0];
+    rgba[i * 4 + 3] = 255;
+  }
+
+  const found = jsQR(rgba, width, height);
+  if (!found) return [];
+
+  const { topLeftCorner, topRightCorner, bottomLeftCorner, bottomRightCorner } = found.location;
+  const corners = [topLeftCorner, topRightCorner, bottomLeftCorner, bottomRightCorner]
+    .map(point => toPage(point.x / width, point.y / height));
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  const round = value => Math.round(value * 100) / 100;
+  return [{
+    symbology: 'qrcode',
+    value: found.data,
+    x: round(Math.min(...xs)),
+    y: round(Math.min(...ys)),
+    width: round(Math.max(...xs) - Math.min(...xs)),
+    height: round(Math.max(...ys) - Math.min(...ys))
+  }];
+}
+
+module.exports = { encodeBarcode, drawBarcode, findQrCodes };
@@ -0,0 +1,36 @@
+const { rgb } = require('pdf-lib');
+
+// Convert a pdf.js RGB triple (0-255 per channel) to a '#rrggbb' string
+function toHex(color) {
+  if (!color) return null;
+  return '#' + Array.from(color).slice(0, 3)
+    .map(c => Math.round(c).toString(16).padStart(2, '0'))
+    .join('');
+}
+
+// Parse a '#rgb' / '#rrggbb' string or [r, g, b] (0-255) array into a pdf-lib color
+function parseColor(value, fallback = rgb(0, 0, 0)) {
+  if (!value) return fallback;
+
+  if (Array.isArray(value) && value.length >= 3) {
+    return rgb(value[0] / 255, value[1] / 255, value[2] / 255);
+  }
+
+  if (typeof value === 'string') {
+    let hex = value.trim().replace(/^#/, '');
+    if (hex.length === 3) {
+      hex = hex.split('').map(c => c + c).join('');
+    }
+    if (/^[0-9a-f]{6}$/i.test(hex)) {
+      return rgb(
+        parseInt(hex.slice(0, 2), 16) / 255,
+        parseInt(hex.slice(2, 4), 16) / 255,
+        parseInt(hex.slice(4, 6), 16) / 255
+      );
+    }
+  }
+
+  return fallback;
+}
+
+module.exports = { toHex, parseColor };
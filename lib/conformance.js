@@ -0,0 +1,385 @@
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFNumber,
+  PDFDict,
+  PDFHexString,
+  PDFOperator,
+  PDFOperatorNames,
+  AnnotationFlags
+} = require('pdf-lib');
+
+// Output levels of the 'conformance' option. Every level embeds all fonts,
+// writes XMP metadata and tags the content; the PDF/A levels add an sRGB
+// output intent, and the accessible ones need alt text, a title and a
+// language.
+const CONFORMANCE_LEVELS = {
+  'pdfa-2b': { name: 'PDF/A-2b', pdfa: { part: 2, conformance: 'B' } },
+  'pdfa-2a': { name: 'PDF/A-2a', pdfa: { part: 2, conformance: 'A' }, accessible: true },
+  'pdfua-1': { name: 'PDF/UA-1', pdfua: 1, accessible: true }
+};
+
+// Structure types for the 'role' of text elements
+const TEXT_ROLES = { h1: 'H1', h2: 'H2', h3: 'H3', h4: 'H4', h5: 'H5', h6: 'H6', p: 'P' };
+
+// Problems a document has before it is drawn that keep it from meeting its
+// conformance level, as { path, message } like schema violations
+function checkConformance(doc) {
+  const level = CONFORMANCE_LEVELS[doc.conformance];
+  const violations = [];
+  const add = (path, message) => violations.push({ path, message });
+  const metadata = doc.metadata || {};
+  const permissions = (doc.protection && doc.protection.permissions) || {};
+
+  if (level.pdfa && doc.protection) add('/protection', 'PDF/A does not allow encryption');
+  if (level.accessible) {
+    if (!metadata.title) add('/metadata/title', `${level.name} needs a document title`);
+    if (!metadata.language) add('/metadata/language', `${level.name} needs the document language`);
+    if (permissions.contentAccessibility === false) {
+      add('/protection/permissions/contentAccessibility', 'assistive technology must be allowed to read the text');
+    }
+    if (doc.form && doc.form.flatten) add('/form/flatten', 'flattened form fields cannot be tagged');
+  }
+
+  const signatureFields = [];
+  for (const [pageIndex, page] of doc.pages.entries()) {
+    for (const [index, element] of page.elements.entries()) {
+      const path = `/pages/${pageIndex}/elements/${index}`;
+      if (element.type === 'field' && element.fieldType === 'signature') signatureFields.push(element.name);
+      if (level.accessible && element.type === 'image' && element.alt === undefined) {
+        add(`${path}/alt`, 'images need alt text, or an empty alt when they are decoration');
+      }
+      if (element.type === 'field') {
+        if (level.pdfa && element.hidden) add(`${path}/hidden`, 'PDF/A does not allow hidden form fields');
+        if (level.accessible && !element.tooltip) add(`${path}/tooltip`, 'form fields need a tooltip that names them');
+      }
+    }
+  }
+
+  // Signing adds an invisible field when there is none to sign into, after
+  // the structure tree is written, so it could not be tagged
+  if (level.accessible && doc.signature) {
+    const wanted = doc.signature.field;
+    if (wanted && !signatureFields.includes(wanted)) {
+      add('/signature/field', `${level.name} needs a signature field element named '${wanted}' to sign into`);
+    } else if (signatureFields.length === 0) {
+      add('/signature', `${level.name} needs a signature field element to sign into`);
+    }
+  }
+
+  return violations;
+}
+
+// The error for a document that cannot meet its conformance level, with
+// the reasons in violations
+function nonconformingError(doc, violations) {
+  const level = CONFORMANCE_LEVELS[doc.conformance];
+  return Object.assign(new Error(`the document cannot be made ${level.name}`), { code: 'NONCONFORMING', violations });
+}
+
+// Number of color components of a JPEG, from its frame header
+function jpegComponents(bytes) {
+  for (let offset = 2; offset + 9 < bytes.length;) {
+    if (bytes[offset] !== 0xff) return null;
+    const marker = bytes[offset + 1];
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) return bytes[offset + 9];
+    offset += 2 + bytes.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+// Tagged content: what is drawn is wrapped in marked content, and the
+// structure tree built from it at the end says what each part is (heading,
+// paragraph, table cell, figure) in reading order. Anything not marked
+// that way has to be drawn as an artifact.
+function createStructure(pdfDoc) {
+  const { context } = pdfDoc;
+  // Pages with marked content, each with the structure element owning
+  // every marked content id (filled in by finish)
+  const pages = new Map();
+  const elements = [];
+
+  const pageEntry = page => {
+    if (!pages.has(page.ref)) pages.set(page.ref, { page, owners: [], annotations: false });
+    return pages.get(page.ref);
+  };
+
+  // Register a structure element and its kids below parentRef. Annotations
+  // met on the way are collected in annotations, for their parent tree keys.
+  const build = (node, parentRef, annotations) => {
+    const dict = context.obj({ Type: 'StructElem', S: node.role, P: parentRef });
+    const ref = context.register(dict);
+    if (node.alt !== undefined) dict.set(PDFName.of('Alt'), PDFHexString.fromText(node.alt));
+
+    const kids = [];
+    for (const kid of node.kids) {
+      if (kid.mcid !== undefined) {
+        if (!dict.has(PDFName.of('Pg'))) dict.set(PDFName.of('Pg'), kid.page.ref);
+        pageEntry(kid.page).owners[kid.mcid] = ref;
+        kids.push(dict.get(PDFName.of('Pg')) === kid.page.ref
+          ? PDFNumber.of(kid.mcid)
+          : context.obj({ Type: 'MCR', Pg: kid.page.ref, MCID: kid.mcid }));
+      } else if (kid.annotation) {
+        // Flattened fields have lost their widgets
+        if (!context.lookup(kid.annotation)) continue;
+        annotations.push({ annotation: kid.annotation, parent: ref });
+        pageEntry(kid.page).annotations = true;
+        kids.push(context.obj({ Type: 'OBJR', Obj: kid.annotation, Pg: kid.page.ref }));
+      } else {
+        kids.push(build(kid, ref, annotations));
+      }
+    }
+    dict.set(PDFName.of('K'), context.obj(kids));
+    return ref;
+  };
+
+  return {
+    // Draw inside marked content for a structure element of role. Returns
+    // the marked content as a kid for node().
+    mark(page, role, draw) {
+      const entry = pageEntry(page);
+      const mcid = entry.owners.length;
+      entry.owners.push(null);
+      page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContentSequence, [
+        PDFName.of(role),
+        context.obj({ MCID: mcid })
+      ]));
+      draw();
+      page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+      return { page, mcid };
+    },
+
+    // Draw decoration that is no part of the content, such as table rules
+    artifact(page, draw) {
+      page.pushOperators(PDFOperator.of(PDFOperatorNames.BeginMarkedContent, [PDFName.of('Artifact')]));
+      draw();
+      page.pushOperators(PDFOperator.of(PDFOperatorNames.EndMarkedContent));
+    },
+
+    // A structure element over kids: marked content from mark(), other
+    // nodes, or { page, annotation } for an annotation's ref
+    node(role, kids, alt) {
+      return { role, kids, alt };
+    },
+
+    // Place a structure element below the document. order is [page index,
+    // element index] and gives the reading order.
+    add(order, node) {
+      elements.push({ order, node });
+    },
+
+    // Write the structure tree once everything is drawn
+    finish() {
+      const root = context.obj({ Type: 'StructTreeRoot' });
+      const rootRef = context.register(root);
+      const documentNode = {
+        role: 'Document',
+        kids: elements
+          .sort((a, b) => a.order[0] - b.order[0] || a.order[1] - b.order[1])
+          .map(element => element.node)
+      };
+      const annotations = [];
+      const documentRef = build(documentNode, rootRef, annotations);
+
+      // Pages take the first parent tree keys, annotations the ones after
+      const nums = [];
+      let key = 0;
+      for (const entry of pages.values()) {
+        entry.page.node.set(PDFName.of('StructParents'), PDFNumber.of(key));
+        if (entry.annotations) entry.page.node.set(PDFName.of('Tabs'), PDFName.of('S'));
+        nums.push(PDFNumber.of(key), context.obj(entry.owners.map(owner => owner || context.obj(null))));
+        key++;
+      }
+      for (const { annotation, parent } of annotations) {
+        context.lookup(annotation, PDFDict).set(PDFName.of('StructParent'), PDFNumber.of(key));
+        nums.push(PDFNumber.of(key), parent);
+        key++;
+      }
+
+      root.set(PDFName.of('K'), documentRef);
+      root.set(PDFName.of('ParentTree'), context.obj({ Nums: nums }));
+      root.set(PDFName.of('ParentTreeNextKey'), PDFNumber.of(key));
+      pdfDoc.catalog.set(PDFName.of('StructTreeRoot'), rootRef);
+      pdfDoc.catalog.set(PDFName.of('MarkInfo'), context.obj({ Marked: true }));
+    }
+  };
+}
+
+// A minimal ICC v2 display profile for sRGB (IEC 61966-2.1) with D50
+// adapted primaries, for the PDF/A output intent
+function srgbProfile() {
+  const fixed = value => {
+    const bytes = Buffer.alloc(4);
+    bytes.writeInt32BE(Math.round(value * 65536));
+    return bytes;
+  };
+  const xyz = (x, y, z) => Buffer.concat([Buffer.from('XYZ \0\0\0\0', 'latin1'), fixed(x), fixed(y), fixed(z)]);
+  const text = value => Buffer.from(`text\0\0\0\0${value}\0`, 'latin1');
+  const description = value => {
+    const bytes = Buffer.alloc(12 + value.length + 1 + 8 + 3 + 67);
+    bytes.write('desc', 0, 'latin1');
+    bytes.writeUInt32BE(value.length + 1, 8);
+    bytes.write(value, 12, 'latin1');
+    return bytes;
+  };
+  const curve = Buffer.alloc(12 + 1024 * 2);
+  curve.write('curv', 0, 'latin1');
+  curve.writeUInt32BE(1024, 8);
+  for (let i = 0; i < 1024; i++) {
+    const v = i / 1023;
+    const linear = v <= 0.04045 ? v / 12.92 : ((v + 0.055) / 1.055) ** 2.4;
+    curve.writeUInt16BE(Math.round(linear * 65535), 12 + i * 2);
+  }
+
+  const tags = [
+    ['desc', description('sRGB IEC61966-2.1')],
+    ['cprt', text('No copyright, use freely')],
+    ['wtpt', xyz(0.9642, 1, 0.8249)],
+    ['rXYZ', xyz(0.4360747, 0.2225045, 0.0139322)],
+    ['gXYZ', xyz(0.3850649, 0.7168786, 0.0971045)],
+    ['bXYZ', xyz(0.1430804, 0.0606169, 0.7141733)],
+    ['rTRC', curve],
+    ['gTRC', curve],
+    ['bTRC', curve]
+  ];
+
+  const table = Buffer.alloc(4 + tags.length * 12);
+  table.writeUInt32BE(tags.length);
+  const data = [];
+  let offset = 128 + table.length;
+  const offsets = new Map();
+  tags.forEach(([signature, bytes], i) => {
+    // Tags with the same data share it
+    if (!offsets.has(bytes)) {
+      offsets.set(bytes, offset);
+      const padded = Buffer.concat([bytes, Buffer.alloc((4 - (bytes.length % 4)) % 4)]);
+      data.push(padded);
+      offset += padded.length;
+    }
+    table.write(signature, 4 + i * 12, 'latin1');
+    table.writeUInt32BE(offsets.get(bytes), 8 + i * 12);
+    table.writeUInt32BE(bytes.length, 12 + i * 12);
+  });
+
+  const header = Buffer.alloc(128);
+  header.writeUInt32BE(offset, 0);
+  header.writeUInt32BE(0x02100000, 8);
+  header.write('mntrRGB XYZ ', 12, 'latin1');
+  [2024, 1, 1, 0, 0, 0].forEach((value, i) => header.writeUInt16BE(value, 24 + i * 2));
+  header.write('acsp', 36, 'latin1');
+  fixed(0.9642).copy(header, 68);
+  fixed(1).copy(header, 72);
+  fixed(0.8249).copy(header, 76);
+
+  return Buffer.concat([header, table, ...data]);
+}
+
+let cachedProfile = null;
+
+const escapeXml = value => String(value).replace(/[<>&"]/g, char => `&#${char.charCodeAt(0)};`);
+const xmpDate = date => date.toISOString().replace(/\.\d{3}Z$/, 'Z');
+
+// XMP packet repeating the information dictionary, plus the conformance
+// claim
+function xmpPacket(pdfDoc, level, language) {
+  const fields = [];
+  const alt = (name, value) => {
+    fields.push(`<${name}><rdf:Alt><rdf:li xml:lang="x-default">${escapeXml(value)}</rdf:li></rdf:Alt></${name}>`);
+  };
+  const simple = (name, value) => fields.push(`<${name}>${escapeXml(value)}</${name}>`);
+
+  fields.push('<dc:format>application/pdf</dc:format>');
+  if (pdfDoc.getTitle()) alt('dc:title', pdfDoc.getTitle());
+  if (pdfDoc.getAuthor()) fields.push(`<dc:creator><rdf:Seq><rdf:li>${escapeXml(pdfDoc.getAuthor())}</rdf:li></rdf:Seq></dc:creator>`);
+  if (pdfDoc.getSubject()) alt('dc:description', pdfDoc.getSubject());
+  if (language) fields.push(`<dc:language><rdf:Bag><rdf:li>${escapeXml(language)}</rdf:li></rdf:Bag></dc:language>`);
+  if (pdfDoc.getKeywords()) simple('pdf:Keywords', pdfDoc.getKeywords());
+  if (pdfDoc.getProducer()) simple('pdf:Producer', pdfDoc.getProducer());
+  if (pdfDoc.getCreator()) simple('xmp:CreatorTool', pdfDoc.getCreator());
+  if (pdfDoc.getCreationDate()) simple('xmp:CreateDate', xmpDate(pdfDoc.getCreationDate()));
+  if (pdfDoc.getModificationDate()) simple('xmp:ModifyDate', xmpDate(pdfDoc.getModificationDate()));
+  if (level.pdfa) {
+    simple('pdfaid:part', level.pdfa.part);
+    simple('pdfaid:conformance', level.pdfa.conformance);
+  }
+  if (level.pdfua) simple('pdfuaid:part', level.pdfua);
+
+  return [
+    '<?xpacket begin="﻿" id="W5M0MpCehiHzreSzNTczkc9d"?>',
+    '<x:xmpmeta xmlns:x="adobe:ns:meta/">',
+    '<rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">',
+    '<rdf:Description rdf:about=""',
+    ' xmlns:dc="http://purl.org/dc/elements/1.1/"',
+    ' xmlns:xmp="http://ns.adobe.com/xap/1.0/"',
+    ' xmlns:pdf="http://ns.adobe.com/pdf/1.3/"',
+    level.pdfa ? ' xmlns:pdfaid="http://www.aiim.org/pdfa/ns/id/"' : ' xmlns:pdfuaid="http://www.aiim.org/pdfua/ns/id/"',
+    '>',
+    ...fields,
+    '</rdf:Description>',
+    '</rdf:RDF>',
+    '</x:xmpmeta>',
+    '<?xpacket end="w"?>'
+  ].join('\n');
+}
+
+// Write what the conformance level needs besides fonts and tags: XMP
+// metadata, the output intent, a file identifier and printable annotations
+function writeConformance(pdfDoc, doc) {
+  const level = CONFORMANCE_LEVELS[doc.conformance];
+  const { context, catalog } = pdfDoc;
+
+  // Dates are compared with the XMP copy to the second
+  for (const [get, set] of [['getCreationDate', 'setCreationDate'], ['getModificationDate', 'setModificationDate']]) {
+    const date = pdfDoc[get]();
+    if (date) pdfDoc[set](new Date(Math.floor(date.getTime() / 1000) * 1000));
+  }
+
+  const xmp = Buffer.from(xmpPacket(pdfDoc, level, (doc.metadata || {}).language), 'utf8');
+  catalog.set(PDFName.of('Metadata'), context.register(context.stream(xmp, { Type: 'Metadata', Subtype: 'XML' })));
+
+  if (level.pdfa) {
+    if (!cachedProfile) cachedProfile = srgbProfile();
+    const profile = context.register(context.flateStream(cachedProfile, { N: 3 }));
+    catalog.set(PDFName.of('OutputIntents'), context.obj([context.obj({
+      Type: 'OutputIntent',
+      S: 'GTS_PDFA1',
+      OutputConditionIdentifier: PDFHexString.fromText('sRGB IEC61966-2.1'),
+      Info: PDFHexString.fromText('sRGB IEC61966-2.1'),
+      RegistryName: PDFHexString.fromText('http://www.color.org'),
+      DestOutputProfile: profile
+    })]));
+
+    // Annotations have to print as they show
+    for (const page of pdfDoc.getPages()) {
+      const annotations = page.node.Annots();
+      if (!annotations) continue;
+      for (let i = 0; i < annotations.size(); i++) {
+        // pdf-lib leaves the refs of flattened widgets behind
+        const annotation = annotations.lookupMaybe(i, PDFDict);
+        if (!annotation) continue;
+        const flags = annotation.lookupMaybe(PDFName.of('F'), PDFNumber);
+        const hiding = AnnotationFlags.Hidden | AnnotationFlags.Invisible | AnnotationFlags.NoView | AnnotationFlags.ToggleNoView;
+        annotation.set(PDFName.of('F'), PDFNumber.of(((flags ? flags.asNumber() : 0) | AnnotationFlags.Print) & ~hiding));
+      }
+    }
+  }
+
+  if (!context.trailerInfo.ID) {
+    const id = PDFHexString.of(crypto.randomBytes(16).toString('hex'));
+    context.trailerInfo.ID = context.obj([id, id]);
+  }
+  if (!(catalog.lookupMaybe(PDFName.of('ViewerPreferences'), PDFDict))) {
+    catalog.set(PDFName.of('ViewerPreferences'), context.obj({}));
+  }
+  catalog.lookup(PDFName.of('ViewerPreferences'), PDFDict).set(PDFName.of('DisplayDocTitle'), context.obj(true));
+}
+
+module.exports = {
+  CONFORMANCE_LEVELS,
+  TEXT_ROLES,
+  checkConformance,
+  nonconformingError,
+  jpegComponents,
+  createStructure,
+  writeConformance
+};
@@ -0,0 +1,285 @@
+// Comparison of two documents for /diff. Pages are paired by position;
+// on each pair the text and image elements are matched first by content
+// (the same text, the same image bytes) and nearness, then whatever is left
+// by nearness alone, which makes an edited text or a replaced image. What
+// still has no partner was added or removed. Pages can also be rendered and
+// compared pixel by pixel.
+
+const crypto = require('crypto');
+const sharp = require('sharp');
+const { renderPage, scaleForDpi } = require('./raster');
+
+const ROUND = value => Math.round(value * 100) / 100;
+
+// Points an element may shift before it counts as moved
+const DEFAULT_TOLERANCE = 0.5;
+// Unmatched text this many font sizes apart (baseline origins) is taken as
+// the same text edited; images need overlapping boxes
+const EDIT_DISTANCE = 1.5;
+// Channel difference below which pixels count as equal, so that
+// anti-aliasing noise does not show
+const PIXEL_THRESHOLD = 24;
+
+const TEXT_STYLE_KEYS = ['fontSize', 'fontFamily', 'fontWeight', 'italic', 'color'];
+
+const normalizeText = text => text.replace(/\s+/g, ' ').trim();
+
+function imageHash(doc, element) {
+  const asset = element.asset ? (doc.assets || {})[element.asset] : null;
+  const src = asset ? asset.src : element.src;
+  if (!src) return null;
+  const bytes = Buffer.from(src.replace(/^data:image\/\w+;base64,/, ''), 'base64');
+  return crypto.createHash('sha256').update(bytes).digest('hex');
+}
+
+// Page box of an image, from its transform when it has one
+function imageBox(element) {
+  if (!Array.isArray(element.transform) || element.transform.length !== 6) {
+    return { x: element.x, y: element.y, width: element.width, height: element.height };
+  }
+  const [a, b, c, d, e, f] = element.transform;
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(([u, v]) => [a * u + c * v + e, b * u + d * v + f]);
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return {
+    x: Math.min(...xs),
+    y: Math.min(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+// The text and image elements of a page as { type, key, summary }, where
+// key is what has to be equal for two elements to hold the same content
+// and summary is what a change reports about the element
+function comparableElements(doc, page) {
+  const items = [];
+  for (const element of page.elements || []) {
+    if (element.type === 'text' && element.text.trim() !== '') {
+      const summary = { text: element.text, x: ROUND(element.x), y: ROUND(element.y) };
+      for (const key of TEXT_STYLE_KEYS) {
+        if (element[key] !== undefined) summary[key] = key === 'fontSize' ? ROUND(element[key]) : element[key];
+      }
+      items.push({ type: 'text', key: normalizeText(element.text), summary });
+    } else if (element.type === 'image') {
+      const box = imageBox(element);
+      items.push({
+        type: 'image',
+        key: imageHash(doc, element),
+        summary: { x: ROUND(box.x), y: ROUND(box.y), width: ROUND(box.width), height: ROUND(box.height) }
+      });
+    }
+  }
+  return items;
+}
+
+const distance = (a, b) => Math.hypot(a.summary.x - b.summary.x, a.summary.y - b.summary.y);
+
+// Pair up elements of before and after that accept(a, b) allows, nearest
+// first. Paired elements are taken out of both lists.
+function pairNearest(before, after, accept) {
+  const candidates = [];
+  before.forEach((a, i) => after.forEach((b, j) => {
+    if (a.type === b.type && accept(a, b)) candidates.push({ i, j, distance: distance(a, b) });
+  }));
+  candidates.sort((x, y) => x.distance - y.distance);
+
+  const usedBefore = new Set();
+  const usedAfter = new Set();
+  const pairs = [];
+  for (const { i, j } of candidates) {
+    if (usedBefore.has(i) || usedAfter.has(j)) continue;
+    usedBefore.add(i);
+    usedAfter.add(j);
+    pairs.push([before[i], after[j]]);
+  }
+
+  const unused = (list, used) => list.filter((_, index) => !used.has(index));
+  return { pairs, before: unused(before, usedBefore), after: unused(after, usedAfter) };
+}
+
+// What differs between two paired elements: 'text' or 'image' for other
+// content, 'position', 'size' and the text style keys
+function differencesOf(a, b, tolerance) {
+  const differences = [];
+  if (a.key !== b.key) differences.push(a.type);
+  if (Math.abs(a.summary.x - b.summary.x) > tolerance || Math.abs(a.summary.y - b.summary.y) > tolerance) {
+    differences.push('position');
+  }
+  if (a.type === 'image') {
+    if (Math.abs(a.summary.width - b.summary.width) > tolerance || Math.abs(a.summary.height - b.summary.height) > tolerance) {
+      differences.push('size');
+    }
+  } else {
+    for (const key of TEXT_STYLE_KEYS) {
+      const changed = key === 'fontSize'
+        ? Math.abs((a.summary.fontSize || 0) - (b.summary.fontSize || 0)) > tolerance
+        : a.summary[key] !== b.summary[key];
+      if (changed) differences.push(key);
+    }
+  }
+  return differences;
+}
+
+// Changes between the elements of two pages, in reading order of where
+// they end up (or were, for removed elements)
+function comparePages(beforeDoc, beforePage, afterDoc, afterPage, tolerance) {
+  const byContent = pairNearest(
+    comparableElements(beforeDoc, beforePage),
+    comparableElements(afterDoc, afterPage),
+    (a, b) => a.key !== null && a.key === b.key
+  );
+  const byNearness = pairNearest(byContent.before, byContent.after, (a, b) => {
+    if (a.type === 'text') return distance(a, b) <= EDIT_DISTANCE * (a.summary.fontSize || 12);
+    const overlap = (p, q) => p.x < q.x + q.width && q.x < p.x + p.width && p.y < q.y + q.height && q.y < p.y + p.height;
+    return overlap(a.summary, b.summary);
+  });
+
+  const changes = [];
+  for (const [a, b] of [...byContent.pairs, ...byNearness.pairs]) {
+    const differences = differencesOf(a, b, tolerance);
+    if (differences.length === 0) continue;
+    changes.push({
+      type: a.type,
+      change: differences.length === 1 && differences[0] === 'position' ? 'moved' : 'changed',
+      differences,
+      before: a.summary,
+      after: b.summary
+    });
+  }
+  for (const a of byNearness.before) changes.push({ type: a.type, change: 'removed', before: a.summary });
+  for (const b of byNearness.after) changes.push({ type: b.type, change: 'added', after: b.summary });
+
+  const place = change => change.after || change.before;
+  return changes.sort((x, y) => place(x).y - place(y).y || place(x).x - place(y).x);
+}
+
+// Structural diff of two documents in the /pdfToJson format. tolerance is
+// how many points an element may shift or grow before it counts. Returns
+// { identical, summary, pages } with the changes of every page.
+function diffDocuments(before, after, { tolerance = DEFAULT_TOLERANCE } = {}) {
+  const summary = { pagesAdded: 0, pagesRemoved: 0, pagesChanged: 0, added: 0, removed: 0, changed: 0, moved: 0 };
+  const pages = [];
+  const count = Math.max(before.pages.length, after.pages.length);
+
+  for (let i = 0; i < count; i++) {
+    const beforePage = before.pages[i];
+    const afterPage = after.pages[i];
+    const entry = { pageNumber: i + 1 };
+
+    if (!afterPage) {
+      entry.status = 'removed';
+      summary.pagesRemoved++;
+    } else if (!beforePage) {
+      entry.status = 'added';
+      summary.pagesAdded++;
+    } else {
+      entry.changes = comparePages(before, beforePage, after, afterPage, tolerance);
+      const resized = Math.abs(beforePage.width - afterPage.width) > tolerance
+        || Math.abs(beforePage.height - afterPage.height) > tolerance;
+      if (resized) {
+        entry.size = {
+          before: { width: ROUND(beforePage.width), height: ROUND(beforePage.height) },
+          after: { width: ROUND(afterPage.width), height: ROUND(afterPage.height) }
+        };
+      }
+      entry.status = resized || entry.changes.length > 0 ? 'changed' : 'unchanged';
+      if (entry.status === 'changed') summary.pagesChanged++;
+      for (const change of entry.changes) summary[change.change]++;
+    }
+    pages.push(entry);
+  }
+
+  const identical = summary.pagesAdded + summary.pagesRemoved + summary.pagesChanged === 0;
+  return { identical, summary, pages };
+}
+
+// Compare two RGBA bitmaps ({ data, width, height }) over the larger of
+// their sizes, space outside one of them counting as white. Returns the
+// number of differing pixels and an RGBA overlay: the after bitmap faded
+// to light gray, with ink that went away in red and new ink in green.
+function comparePixels(before, after) {
+  const width = Math.max(before.width, after.width);
+  const height = Math.max(before.height, after.height);
+  const overlay = Buffer.alloc(width * height * 4);
+  let changed = 0;
+
+  const pixel = (bitmap, x, y) => {
+    if (x >= bitmap.width || y >= bitmap.height) return [255, 255, 255];
+    const i = (y * bitmap.width + x) * 4;
+    return [bitmap.data[i], bitmap.data[i + 1], bitmap.data[i + 2]];
+  };
+  const luminance = ([r, g, b]) => 0.299 * r + 0.587 * g + 0.114 * b;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const a = pixel(before, x, y);
+      const b = pixel(after, x, y);
+      const i = (y * width + x) * 4;
+      const differs = Math.max(Math.abs(a[0] - b[0]), Math.abs(a[1] - b[1]), Math.abs(a[2] - b[2])) > PIXEL_THRESHOLD;
+      if (differs) {
+        changed++;
+        const color = luminance(a) < luminance(b) ? [220, 30, 30] : [30, 160, 30];
+        overlay.set(color, i);
+      } else {
+        const faded = Math.round(255 - (255 - luminance(b)) * 0.25);
+        overlay.set([faded, faded, faded], i);
+      }
+      overlay[i + 3] = 255;
+    }
+  }
+
+  return { changed, width, height, overlay };
+}
+
+// Render a pdf.js page at dpi as raw RGBA
+async function renderBitmap(page, dpi) {
+  const canvas = await renderPage(page, scaleForDpi(page, dpi));
+  const { data, info } = await sharp(canvas.toBuffer('image/png', { compressionLevel: 0 }))
+    .ensureAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  return { data, width: info.width, height: info.height };
+}
+
+// Pixel diff of two pdf.js pages rendered at dpi, as { changedPixels, ratio,
+// width, height, src } with the overlay as a PNG data URL
+async function diffPagePixels(beforePage, afterPage, dpi) {
+  const { changed, width, height, overlay } = comparePixels(
+    await renderBitmap(beforePage, dpi),
+    await renderBitmap(afterPage, dpi)
+  );
+  const png = await sharp(overlay, { raw: { width, height, channels: 4 } })
+    .png({ compressionLevel: 9, adaptiveFiltering: true })
+    .toBuffer();
+  return {
+    changedPixels: changed,
+    ratio: Math.round((changed / (width * height)) * 1e6) / 1e6,
+    width,
+    height,
+    src: `data:image/png;base64,${png.toString('base64')}`
+  };
+}
+
+// Add the pixel diff of every page both documents have to a diff from
+// diffDocuments, rendering the pdf.js documents at dpi. Pages whose pixels
+// differ count as changed even when their text and images match.
+async function addPixelDiffs(diff, beforePdf, afterPdf, dpi) {
+  for (const entry of diff.pages) {
+    if (entry.status === 'added' || entry.status === 'removed') continue;
+    const beforePage = await beforePdf.getPage(entry.pageNumber);
+    const afterPage = await afterPdf.getPage(entry.pageNumber);
+    entry.pixels = await diffPagePixels(beforePage, afterPage, dpi);
+    beforePage.cleanup();
+    afterPage.cleanup();
+
+    if (entry.pixels.changedPixels > 0 && entry.status === 'unchanged') {
+      entry.status = 'changed';
+      diff.summary.pagesChanged++;
+      diff.identical = false;
+    }
+  }
+  return diff;
+}
+
+module.exports = { diffDocuments, comparePixels, addPixelDiffs };
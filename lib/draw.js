@@ -0,0 +1,167 @@
+const {
+  LineCapStyle,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix,
+  setGraphicsState,
+  drawObject
+} = require('pdf-lib');
+const { parseColor } = require('./colors');
+
+const LINE_CAP_STYLES = {
+  butt: LineCapStyle.Butt,
+  round: LineCapStyle.Round,
+  square: LineCapStyle.Projecting
+};
+
+// Draw a 'path' element. Coordinates in the element (and in its SVG path
+// data) are top-left page coordinates, like every other element.
+function drawPath(page, element, pageHeight) {
+  const fill = element.fill ? parseColor(element.fill) : undefined;
+  const stroke = element.stroke ? parseColor(element.stroke) : undefined;
+  const lineWidth = element.lineWidth !== undefined ? element.lineWidth : 1;
+  const lineCap = LINE_CAP_STYLES[element.lineCap];
+  const dash = Array.isArray(element.dash) && element.dash.length > 0 ? element.dash : undefined;
+
+  if (!fill && !stroke) return;
+
+  if (element.shape === 'rectangle') {
+    page.drawRectangle({
+      x: element.x,
+      y: pageHeight - element.y - element.height,
+      width: element.width,
+      height: element.height,
+      color: fill,
+      borderColor: stroke,
+      borderWidth: stroke ? lineWidth : 0,
+      borderDashArray: dash,
+      borderDashPhase: element.dashPhase,
+      borderLineCap: lineCap,
+      opacity: element.opacity,
+      borderOpacity: element.strokeOpacity
+    });
+    return;
+  }
+
+  const points = element.shape === 'line'
+    ? (element.d.match(/-?[\d.]+(e-?\d+)?/gi) || []).map(Number)
+    : [];
+
+  if (points.length === 4 && stroke) {
+    page.drawLine({
+      start: { x: points[0], y: pageHeight - points[1] },
+      end: { x: points[2], y: pageHeight - points[3] },
+      thickness: lineWidth,
+      color: stroke,
+      dashArray: dash,
+      dashPhase: element.dashPhase,
+      lineCap,
+      opacity: element.strokeOpacity
+    });
+    return;
+  }
+
+  // drawSvgPath flips the y axis around its origin, so anchoring it at the
+  // top-left corner of the page maps the path data straight onto the page
+  page.drawSvgPath(element.d, {
+    x: 0,
+    y: pageHeight,
+    color: fill,
+    borderColor: stroke,
+    borderWidth: stroke ? lineWidth : 0,
+    borderDashArray: dash,
+    borderDashPhase: element.dashPhase,
+    borderLineCap: lineCap,
+    opacity: element.opacity,
+    borderOpacity: element.strokeOpacity
+  });
+}
+
+// Draw an embedded image through a [a, b, c, d, e, f] matrix that maps the
+// image (0,0 = top-left pixel, 1,1 = bottom-right) onto top-left page
+// coordinates, as produced for rotated, skewed or mirrored images
+function drawTransformedImage(page, image, transform, pageHeight) {
+  const [a, b, c, d, e, f] = transform;
+  const name = page.node.newXObject('Image', image.ref);
+
+  // PDF image space has its origin at the bottom-left and y pointing up
+  page.pushOperators(
+    pushGraphicsState(),
+    concatTransformationMatrix(a, -b, -c, d, c + e, pageHeight - d - f),
+    drawObject(name),
+    popGraphicsState()
+  );
+}
+
+// Run draw() with an element's opacity and rotation applied. rotation turns
+// the element clockwise by that many degrees around its x/y point; opacity
+// is left to drawPath for 'path' elements, which set their own.
+function withElementState(page, element, pageHeight, draw) {
+  const opacity = element.type !== 'path' ? element.opacity : undefined;
+  const rotation = element.rotation || 0;
+  if (opacity === undefined && rotation === 0) {
+    draw();
+    return;
+  }
+
+  const operators = [pushGraphicsState()];
+  if (opacity !== undefined) {
+    const state = page.doc.context.obj({ Type: 'ExtGState', ca: opacity, CA: opacity });
+    operators.push(setGraphicsState(page.node.newExtGState('GS', state)));
+  }
+  if (rotation !== 0) {
+    // Clockwise on the page is counter-clockwise in PDF's y-up space
+    const angle = -rotation * Math.PI / 180;
+    const cos = Math.cos(angle);
+    const sin = Math.sin(angle);
+    const px = element.x || 0;
+    const py = pageHeight - (element.y || 0);
+    operators.push(concatTransformationMatrix(cos, sin, -sin, cos, px - px * cos + py * sin, py - px * sin - py * cos));
+  }
+
+  page.pushOperators(...operators);
+  draw();
+  page.pushOperators(popGraphicsState());
+}
+
+// The frame a page is seen in: its crop box turned by its /Rotate, which is
+// what /pdfToJson measures elements in. matrix maps y-up coordinates in that
+// frame onto the page's own coordinate space.
+function pageFrame(page) {
+  const { x, y, width, height } = page.getCropBox();
+  const rotation = ((page.getRotation().angle % 360) + 360) % 360;
+
+  switch (rotation) {
+    case 90:
+      return { width: height, height: width, matrix: [0, 1, -1, 0, x + width, y] };
+    case 180:
+      return { width, height, matrix: [-1, 0, 0, -1, x + width, y + height] };
+    case 270:
+      return { width: height, height: width, matrix: [0, -1, 1, 0, x, y + height] };
+    default:
+      return { width, height, matrix: [1, 0, 0, 1, x, y] };
+  }
+}
+
+// Move the box of an element measured in a page frame into plain top-left
+// page coordinates, for annotations, which are placed outside the content
+// stream and so do not follow the frame's matrix
+function frameBox(frame, page, element) {
+  const [a, b, c, d, e, f] = frame.matrix;
+  const corners = [
+    [element.x, frame.height - element.y - element.height],
+    [element.x + element.width, frame.height - element.y]
+  ].map(([u, v]) => [a * u + c * v + e, b * u + d * v + f]);
+
+  const xs = corners.map(([x]) => x);
+  const ys = corners.map(([, y]) => y);
+  return {
+    ...element,
+    x: Math.min(...xs),
+    y: page.getHeight() - Math.max(...ys),
+    width: Math.max(...xs) - Math.min(...xs),
+    height: Math.max(...ys) - Math.min(...ys)
+  };
+}
+
+module.exports = { drawPath, drawTransformedImage, withElementState, pageFrame, frameBox };
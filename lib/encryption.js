@@ -0,0 +1,187 @@
+const crypto = require('crypto');
+const {
+  PDFName,
+  PDFNumber,
+  PDFArray,
+  PDFDict,
+  PDFString,
+  PDFHexString,
+  PDFStream,
+  PDFRawStream
+} = require('pdf-lib');
+
+// Password protection for generated PDFs with the standard security handler,
+// revision 6 (AES-256, PDF 2.0). pdf-lib writes unencrypted files, so every
+// string and stream is encrypted here just before the document is saved.
+
+// Permission bits of /P (ISO 32000-2, table 22). Bits 7-8 and 13-32 must be
+// set, and 1-2 cleared.
+const PERMISSION_BITS = {
+  printing: 1 << 2,
+  modifying: 1 << 3,
+  copying: 1 << 4,
+  annotating: 1 << 5,
+  fillingForms: 1 << 8,
+  contentAccessibility: 1 << 9,
+  documentAssembly: 1 << 10,
+  highQualityPrinting: 1 << 11
+};
+const RESERVED_BITS = 0xfffff0c0;
+
+// The /P value for { printing, copying, modifying, ... }. Anything not set
+// to false is allowed; printing: 'lowResolution' allows only degraded
+// printing.
+function permissionFlags(permissions = {}) {
+  let flags = RESERVED_BITS;
+  for (const [name, bit] of Object.entries(PERMISSION_BITS)) {
+    if (name === 'highQualityPrinting') continue;
+    if (permissions[name] !== false) flags |= bit;
+  }
+  if (permissions.printing !== false && permissions.printing !== 'lowResolution') {
+    flags |= PERMISSION_BITS.highQualityPrinting;
+  }
+  return flags | 0;
+}
+
+// Passwords are UTF-8, cut to 127 bytes
+function passwordBytes(password) {
+  return Buffer.from(String(password || '').normalize('NFKC'), 'utf8').subarray(0, 127);
+}
+
+// Hash of a password for revision 6 (ISO 32000-2, algorithm 2.B). userKey is
+// the 48-byte /U value when hashing the owner password.
+function hashPassword(password, salt, userKey = Buffer.alloc(0)) {
+  let key = crypto.createHash('sha256').update(Buffer.concat([password, salt, userKey])).digest();
+
+  for (let round = 0; ; round++) {
+    const block = Buffer.concat([password, key, userKey]);
+    const cipher = crypto.createCipheriv('aes-128-cbc', key.subarray(0, 16), key.subarray(16, 32));
+    cipher.setAutoPadding(false);
+    const encrypted = Buffer.concat([cipher.update(Buffer.concat(Array(64).fill(block))), cipher.final()]);
+
+    let sum = 0;
+    for (let i = 0; i < 16; i++) sum += encrypted[i];
+    key = crypto.createHash(['sha256', 'sha384', 'sha512'][sum % 3]).update(encrypted).digest();
+
+    if (round >= 63 && encrypted[encrypted.length - 1] <= round - 31) break;
+  }
+
+  return key.subarray(0, 32);
+}
+
+function aesWithoutPadding(key, data, mode = 'aes-256-cbc') {
+  const cipher = crypto.createCipheriv(mode, key, mode === 'aes-256-ecb' ? null : Buffer.alloc(16));
+  cipher.setAutoPadding(false);
+  return Buffer.concat([cipher.update(data), cipher.final()]);
+}
+
+// Encrypt one string or stream: AES-256-CBC with a random IV in front
+function encryptBytes(fileKey, bytes) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', fileKey, iv);
+  return Buffer.concat([iv, cipher.update(Buffer.from(bytes)), cipher.final()]);
+}
+
+// The /Encrypt dictionary entries for a file key and the two passwords
+function securityValues(fileKey, userPassword, ownerPassword, flags) {
+  const user = passwordBytes(userPassword);
+  const owner = passwordBytes(ownerPassword);
+
+  const userValidationSalt = crypto.randomBytes(8);
+  const userKeySalt = crypto.randomBytes(8);
+  const U = Buffer.concat([hashPassword(user, userValidationSalt), userValidationSalt, userKeySalt]);
+  const UE = aesWithoutPadding(hashPassword(user, userKeySalt), fileKey);
+
+  const ownerValidationSalt = crypto.randomBytes(8);
+  const ownerKeySalt = crypto.randomBytes(8);
+  const O = Buffer.concat([hashPassword(owner, ownerValidationSalt, U), ownerValidationSalt, ownerKeySalt]);
+  const OE = aesWithoutPadding(hashPassword(owner, ownerKeySalt, U), fileKey);
+
+  const perms = Buffer.alloc(16);
+  perms.writeInt32LE(flags, 0);
+  perms.fill(0xff, 4, 8);
+  perms.write('Tadb', 8, 'latin1');
+  crypto.randomBytes(4).copy(perms, 12);
+
+  return { U, UE, O, OE, Perms: aesWithoutPadding(fileKey, perms, 'aes-256-ecb') };
+}
+
+const hexString = bytes => PDFHexString.of(Buffer.from(bytes).toString('hex'));
+
+// Encrypt the strings inside an object, in place where it is a container
+function encryptObject(object, fileKey) {
+  if (object instanceof PDFString || object instanceof PDFHexString) {
+    return hexString(encryptBytes(fileKey, object.asBytes()));
+  }
+  if (object instanceof PDFDict) {
+    // A signature's /Contents stays readable (ISO 32000-2, 7.6.2)
+    const isSignature = object.has(PDFName.of('ByteRange'));
+    for (const [key, value] of object.entries()) {
+      if (isSignature && key === PDFName.of('Contents')) continue;
+      object.set(key, encryptObject(value, fileKey));
+    }
+    return object;
+  }
+  if (object instanceof PDFArray) {
+    for (let i = 0; i < object.size(); i++) object.set(i, encryptObject(object.get(i), fileKey));
+    return object;
+  }
+  if (object instanceof PDFStream) {
+    encryptObject(object.dict, fileKey);
+    return PDFRawStream.of(object.dict, encryptBytes(fileKey, object.getContents()));
+  }
+  return object;
+}
+
+// Save a pdf-lib document with password protection. protection is
+// { userPassword, ownerPassword, permissions } as in the document format:
+// the user password opens the file, the owner password lifts the
+// permission limits. Without an owner password a random one is used, so
+// the limits cannot be lifted.
+async function saveEncrypted(pdfDoc, protection, { updateFieldAppearances = true } = {}) {
+  const { context } = pdfDoc;
+
+  // Everything pdf-lib would still add while saving has to exist before it
+  // is encrypted
+  if (pdfDoc.getPageCount() === 0) pdfDoc.addPage();
+  if (updateFieldAppearances && pdfDoc.catalog.has(PDFName.of('AcroForm'))) pdfDoc.getForm().updateFieldAppearances();
+  await pdfDoc.flush();
+
+  const fileKey = crypto.randomBytes(32);
+  for (const [ref, object] of context.enumerateIndirectObjects()) {
+    const encrypted = encryptObject(object, fileKey);
+    if (encrypted !== object) context.assign(ref, encrypted);
+  }
+
+  const ownerPassword = protection.ownerPassword || crypto.randomBytes(24).toString('hex');
+  const values = securityValues(fileKey, protection.userPassword, ownerPassword, permissionFlags(protection.permissions));
+
+  const standardFilter = context.obj({ AuthEvent: 'DocOpen', CFM: 'AESV3', Length: 32 });
+  const encrypt = context.obj({
+    Filter: 'Standard',
+    V: 5,
+    R: 6,
+    Length: 256,
+    CF: context.obj({ StdCF: standardFilter }),
+    StmF: 'StdCF',
+    StrF: 'StdCF',
+    P: PDFNumber.of(permissionFlags(protection.permissions)),
+    EncryptMetadata: true
+  });
+  for (const [key, bytes] of Object.entries(values)) encrypt.set(PDFName.of(key), hexString(bytes));
+
+  context.trailerInfo.Encrypt = context.register(encrypt);
+  const id = hexString(crypto.randomBytes(16));
+  context.trailerInfo.ID = context.obj([id, id]);
+
+  // Object streams would need their contents encrypted as a whole
+  return pdfDoc.save({ useObjectStreams: false, addDefaultPage: false, updateFieldAppearances: false });
+}
+
+// Save a document, encrypted when it asks for protection. options go to
+// pdf-lib's save; encrypted documents only heed updateFieldAppearances.
+function savePdf(pdfDoc, protection, options) {
+  return protection ? saveEncrypted(pdfDoc, protection, options) : pdfDoc.save(options);
+}
+
+module.exports = { permissionFlags, savePdf };
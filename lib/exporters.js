@@ -0,0 +1,633 @@
+// Turn an extracted JSON document into HTML, Markdown or plain text for
+// /pdfToJson?format=html|markdown|text. HTML can keep every element where
+// the page has it ('positioned') or reflow the content ('flow'); Markdown,
+// flowing HTML and text read the page as blocks in reading order.
+
+const JSZip = require('jszip');
+const { toHex } = require('./colors');
+const { LIST_MARKER } = require('./textBlocks');
+
+const EXPORT_FORMATS = {
+  html: { type: 'text/html; charset=utf-8', extension: 'html' },
+  markdown: { type: 'text/markdown; charset=utf-8', extension: 'md' },
+  text: { type: 'text/plain; charset=utf-8', extension: 'txt' }
+};
+
+const LAYOUTS = ['positioned', 'flow'];
+const IMAGE_MODES = ['embed', 'reference', 'none'];
+
+// Sizes this much above the body text size are headings
+const HEADING_RATIO = 1.15;
+const MAX_HEADING_LENGTH = 200;
+// Text on one baseline closer than this many font sizes is one block
+const JOIN_GAP = 1.5;
+// Left edges of list items this many font sizes apart are one level apart
+const LIST_INDENT = 1.5;
+
+// A list marker drawn as text of its own
+const MARKER_ONLY = new RegExp(LIST_MARKER.source.replace('\\s+', '$'));
+
+// Read { format, layout, images } from the query string. format is 'json'
+// when missing; throws with a message for values we do not know.
+function parseExportOptions(query) {
+  const format = query.format || 'json';
+  if (format !== 'json' && !EXPORT_FORMATS[format]) {
+    throw new Error("format must be 'json', 'html', 'markdown' or 'text'");
+  }
+  const layout = query.layout || 'positioned';
+  if (!LAYOUTS.includes(layout)) {
+    throw new Error("layout must be 'positioned' or 'flow'");
+  }
+  const images = query.images || 'embed';
+  if (!IMAGE_MODES.includes(images)) {
+    throw new Error("images must be 'embed', 'reference' or 'none'");
+  }
+  return { format, layout, images };
+}
+
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function escapeMarkdown(value) {
+  return String(value)
+    .replace(/([\\`*_[\]<>|])/g, '\\$1')
+    .replace(/^(#{1,6}\s|>|[-+]\s|\d+[.)]\s)/, '\\$1');
+}
+
+function cssColor(value, fallback = 'transparent') {
+  if (value === null || value === undefined) return fallback;
+  return Array.isArray(value) ? toHex(value) : value;
+}
+
+const pt = value => `${Math.round(value * 100) / 100}pt`;
+
+// Only web and mail links become hrefs; anything else in a PDF link (such
+// as javascript:) is dropped
+function safeUrl(url) {
+  return /^(https?:|mailto:)/i.test(String(url)) ? url : null;
+}
+
+// Where the images of a document come from: data URLs, files under assets/
+// collected in files, or nothing
+function createImageSources(doc, mode) {
+  const files = new Map();
+  const inline = new Map();
+
+  const source = element => {
+    const asset = element.asset ? (doc.assets || {})[element.asset] : null;
+    const src = asset ? asset.src : element.src;
+    if (!src || mode === 'none') return null;
+    if (mode === 'embed') return src;
+
+    let id = element.asset;
+    if (!id) {
+      if (!inline.has(src)) inline.set(src, `image-${inline.size + 1}`);
+      id = inline.get(src);
+    }
+    const extension = /^data:image\/jpe?g/.test(src) ? 'jpg' : 'png';
+    const name = `assets/${id}.${extension}`;
+    if (!files.has(name)) {
+      files.set(name, Buffer.from(src.replace(/^data:image\/\w+;base64,/, ''), 'base64'));
+    }
+    return name;
+  };
+
+  return { source, files };
+}
+
+// Page box of an element, for reading order. Text without a merged box
+// gets one from its baseline and font size.
+function boxOf(element) {
+  if (element.box) return element.box;
+  if (element.type === 'text') {
+    const fontSize = element.fontSize || 12;
+    return {
+      x: element.x,
+      y: element.y - 0.8 * fontSize,
+      width: element.maxWidth || element.width || 0,
+      height: element.height || fontSize
+    };
+  }
+  return { x: element.x, y: element.y, width: element.width || 0, height: element.height || 0 };
+}
+
+const isBold = element => (element.fontWeight || 400) >= 600;
+
+// Text, tables and images of a page as blocks. Text on one baseline that
+// follows on closely (such as a bullet and its item, or a bold word and
+// the rest of the line) is joined into one block of styled runs.
+function pageBlocks(page) {
+  const blocks = [];
+  const texts = [];
+
+  for (const element of page.elements) {
+    if (element.type === 'text' && element.text.trim() !== '') {
+      texts.push({
+        kind: 'text',
+        element,
+        box: { ...boxOf(element) },
+        runs: [{ text: element.text.trim(), bold: isBold(element), italic: Boolean(element.italic) }]
+      });
+    } else if (element.type === 'table' || element.type === 'image') {
+      blocks.push({ kind: element.type, element, box: boxOf(element) });
+    }
+  }
+
+  texts.sort((a, b) => a.element.y - b.element.y || a.box.x - b.box.x);
+  const joined = [];
+  for (const block of texts) {
+    const fontSize = block.element.fontSize || 12;
+    const previous = joined.find(candidate => {
+      const right = candidate.box.x + candidate.box.width;
+      const gap = block.box.x - right;
+      const marker = MARKER_ONLY.test(candidate.runs.map(run => run.text).join(''));
+      return Math.abs(candidate.element.y - block.element.y) <= 0.3 * fontSize &&
+        gap >= -1 && (gap <= JOIN_GAP * fontSize || marker);
+    });
+
+    if (!previous) {
+      joined.push(block);
+      continue;
+    }
+    previous.runs.push(...block.runs);
+    const right = Math.max(previous.box.x + previous.box.width, block.box.x + block.box.width);
+    const bottom = Math.max(previous.box.y + previous.box.height, block.box.y + block.box.height);
+    previous.box.y = Math.min(previous.box.y, block.box.y);
+    previous.box.width = right - previous.box.x;
+    previous.box.height = bottom - previous.box.y;
+    // The block takes the style of its text rather than of a bullet
+    if (MARKER_ONLY.test(previous.runs[0].text) && previous.runs.length === 2) {
+      previous.element = block.element;
+    }
+  }
+
+  return readingOrder([...blocks, ...joined]);
+}
+
+// Split blocks into groups along empty bands on one axis. Returns the
+// groups and the widest band.
+function splitAlong(blocks, start, size) {
+  const sorted = [...blocks].sort((a, b) => start(a) - start(b));
+  const groups = [[sorted[0]]];
+  let reach = start(sorted[0]) + size(sorted[0]);
+  let widest = 0;
+
+  for (const block of sorted.slice(1)) {
+    const gap = start(block) - reach;
+    if (gap > -0.5) {
+      groups.push([block]);
+      widest = Math.max(widest, gap);
+    } else {
+      groups[groups.length - 1].push(block);
+    }
+    reach = Math.max(reach, start(block) + size(block));
+  }
+
+  return { groups, widest };
+}
+
+// Order blocks the way the page is read: cut the page along its widest
+// empty band, across or down, and read the parts top to bottom or left to
+// right, repeating inside each part
+function readingOrder(blocks) {
+  if (blocks.length < 2) return blocks;
+
+  const rows = splitAlong(blocks, block => block.box.y, block => block.box.height);
+  const columns = splitAlong(blocks, block => block.box.x, block => block.box.width);
+  const cut = [rows, columns]
+    .filter(split => split.groups.length > 1)
+    .sort((a, b) => b.widest - a.widest)[0];
+
+  if (!cut) {
+    return [...blocks].sort((a, b) => a.box.y - b.box.y || a.box.x - b.box.x);
+  }
+  return cut.groups.flatMap(readingOrder);
+}
+
+const round = value => Math.round(value * 2) / 2;
+
+// Body text size of the document (the size most characters have) and the
+// larger sizes used for headings, biggest first
+function headingSizes(doc) {
+  const characters = new Map();
+  const sizes = new Set();
+  for (const page of doc.pages) {
+    for (const element of page.elements) {
+      if (element.type !== 'text' || !element.fontSize) continue;
+      const size = round(element.fontSize);
+      characters.set(size, (characters.get(size) || 0) + element.text.length);
+      if (element.text.trim().length <= MAX_HEADING_LENGTH) sizes.add(size);
+    }
+  }
+
+  let body = 0;
+  let most = -1;
+  for (const [size, count] of characters) {
+    if (count > most) {
+      body = size;
+      most = count;
+    }
+  }
+
+  return [...sizes].filter(size => size >= body * HEADING_RATIO).sort((a, b) => b - a).slice(0, 6);
+}
+
+// Tell headings, list items and paragraphs apart. Headings are short text
+// in one of the heading sizes, or a short bold line of its own; list items
+// start with a bullet or a number.
+function classify(blocks, sizes) {
+  const classified = blocks.map(block => {
+    if (block.kind !== 'text') return block;
+
+    const text = block.runs.map(run => run.text).join(' ');
+    const marker = text.match(LIST_MARKER);
+    if (marker) {
+      const number = /^\d/.test(marker[1]) ? parseInt(marker[1], 10) : null;
+      const runs = block.runs.map(run => ({ ...run }));
+      let rest = marker[1].length;
+      // The marker may be a run of its own or the start of the first one
+      while (rest > 0 && runs.length > 0) {
+        const taken = Math.min(rest, runs[0].text.length);
+        runs[0].text = runs[0].text.slice(taken).trimStart();
+        rest -= taken;
+        if (runs[0].text === '') runs.shift();
+      }
+      return { ...block, kind: 'listItem', ordered: number !== null, number, runs };
+    }
+
+    const size = round(block.element.fontSize || 0);
+    const level = sizes.indexOf(size) + 1;
+    const short = text.length <= MAX_HEADING_LENGTH;
+    if (level > 0 && short) return { ...block, kind: 'heading', level };
+    if (block.runs.every(run => run.bold) && text.length <= 80 && !/[.,;]$/.test(text) &&
+        !block.element.maxWidth) {
+      return { ...block, kind: 'heading', level: Math.min(6, sizes.length + 1) };
+    }
+    return { ...block, kind: 'paragraph' };
+  });
+
+  // Nesting of list items follows how far their left edge is indented
+  // within each run of consecutive items
+  for (let i = 0; i < classified.length; i++) {
+    if (classified[i].kind !== 'listItem') continue;
+    let end = i;
+    while (end + 1 < classified.length && classified[end + 1].kind === 'listItem') end++;
+    const items = classified.slice(i, end + 1);
+    const left = Math.min(...items.map(item => item.box.x));
+    for (const item of items) {
+      const indent = LIST_INDENT * (item.element.fontSize || 12);
+      item.level = Math.min(5, Math.round((item.box.x - left) / indent));
+    }
+    i = end;
+  }
+
+  return classified;
+}
+
+// Rows x columns of cell texts of a table element
+function tableRows(element) {
+  if (Array.isArray(element.data)) {
+    return element.data.map(row => row.map(value => (value === null || value === undefined ? '' : String(value))));
+  }
+  const rowCount = Math.max(0, ...(element.cells || []).map(cell => cell.row + 1));
+  const rows = Array.from({ length: rowCount }, () => element.columns.map(() => ''));
+  for (const cell of element.cells || []) {
+    if (rows[cell.row] && cell.column < element.columns.length) rows[cell.row][cell.column] = cell.text || '';
+  }
+  return rows;
+}
+
+function markdownRuns(runs) {
+  return runs
+    .filter(run => run.text)
+    .map(run => {
+      const text = escapeMarkdown(run.text.replace(/\s*\n\s*/g, ' '));
+      if (run.bold && run.italic) return `***${text}***`;
+      if (run.bold) return `**${text}**`;
+      if (run.italic) return `*${text}*`;
+      return text;
+    })
+    .join(' ');
+}
+
+function markdownTable(element) {
+  const rows = tableRows(element);
+  if (rows.length === 0) return '';
+  const line = row => '| ' + row.map(text => escapeMarkdown(text).replace(/\r?\n/g, '<br>')).join(' | ') + ' |';
+  return [line(rows[0]), '| ' + rows[0].map(() => '---').join(' | ') + ' |', ...rows.slice(1).map(line)].join('\n');
+}
+
+// Items of one list go on consecutive lines, everything else is a blank
+// line apart
+function separator(previous, block) {
+  const sameList = previous.kind === 'listItem' && block.kind === 'listItem' &&
+    (block.level > 0 || previous.ordered === block.ordered);
+  return sameList ? '\n' : '\n\n';
+}
+
+function toMarkdown(doc, sizes, images) {
+  const pages = doc.pages.map((page, pageIndex) => {
+    const parts = [];
+    let previous = null;
+
+    for (const block of classify(pageBlocks(page), sizes)) {
+      let markdown = null;
+      if (block.kind === 'heading') {
+        markdown = '#'.repeat(block.level) + ' ' + escapeMarkdown(block.runs.map(run => run.text).join(' ').replace(/\s*\n\s*/g, ' '));
+      } else if (block.kind === 'listItem') {
+        markdown = '  '.repeat(block.level) + (block.ordered ? `${block.number}. ` : '- ') + markdownRuns(block.runs);
+      } else if (block.kind === 'paragraph') {
+        markdown = markdownRuns(block.runs);
+      } else if (block.kind === 'table') {
+        markdown = markdownTable(block.element);
+      } else if (block.kind === 'image') {
+        const src = images.source(block.element);
+        if (src) markdown = `![](${src})`;
+      }
+      if (!markdown) continue;
+
+      parts.push(parts.length > 0 ? separator(previous, block) + markdown : markdown);
+      previous = block;
+    }
+
+    return `<!-- page ${page.pageNumber || pageIndex + 1} -->\n\n` + parts.join('');
+  });
+
+  return pages.join('\n\n') + '\n';
+}
+
+function toText(doc, sizes) {
+  const pages = doc.pages.map(page => {
+    const parts = [];
+    let previous = null;
+
+    for (const block of classify(pageBlocks(page), sizes)) {
+      let text = null;
+      if (block.kind === 'table') {
+        text = tableRows(block.element).map(row => row.map(cell => cell.replace(/\s*\n\s*/g, ' ')).join('\t')).join('\n');
+      } else if (block.kind === 'listItem') {
+        const marker = block.ordered ? `${block.number}. ` : '- ';
+        text = '  '.repeat(block.level) + marker + block.runs.map(run => run.text).join(' ');
+      } else if (block.kind !== 'image') {
+        text = block.runs.map(run => run.text).join(' ');
+      }
+      if (!text) continue;
+
+      parts.push(parts.length > 0 ? separator(previous, block) + text : text);
+      previous = block;
+    }
+
+    return parts.join('');
+  });
+
+  // Pages end with a form feed, as pdftotext writes them
+  return pages.map(page => page + '\n\f').join('');
+}
+
+function htmlRuns(runs) {
+  return runs
+    .filter(run => run.text)
+    .map(run => {
+      let html = escapeHtml(run.text).replace(/\r?\n/g, '<br>');
+      if (run.italic) html = `<em>${html}</em>`;
+      if (run.bold) html = `<strong>${html}</strong>`;
+      return html;
+    })
+    .join(' ');
+}
+
+// A table element as an HTML table, with spans when it has cells.
+// attributes go on the table and cellStyle on every cell.
+function htmlTable(element, attributes = '', cellStyle = '') {
+  const widths = element.columns.map(width => `<col style="width:${pt(width)}">`).join('');
+  let rows;
+  if (Array.isArray(element.cells)) {
+    const rowCount = Math.max((element.rows || []).length, ...element.cells.map(cell => cell.row + (cell.rowSpan || 1)));
+    rows = Array.from({ length: rowCount }, () => []);
+    for (const cell of element.cells) {
+      if (!rows[cell.row]) continue;
+      const spans = (cell.rowSpan > 1 ? ` rowspan="${cell.rowSpan}"` : '') + (cell.colSpan > 1 ? ` colspan="${cell.colSpan}"` : '');
+      const style = [cellStyle, cell.align ? `text-align:${cell.align}` : ''].filter(Boolean).join(';');
+      rows[cell.row].push(`<td${spans}${style ? ` style="${style}"` : ''}>${escapeHtml(cell.text || '').replace(/\r?\n/g, '<br>')}</td>`);
+    }
+  } else {
+    const style = cellStyle ? ` style="${cellStyle}"` : '';
+    rows = tableRows(element).map(row => row.map(text => `<td${style}>${escapeHtml(text).replace(/\r?\n/g, '<br>')}</td>`));
+  }
+
+  const body = rows.map((cells, i) => {
+    const height = element.rows && element.rows[i] ? ` style="height:${pt(element.rows[i])}"` : '';
+    return `<tr${height}>${cells.join('')}</tr>`;
+  }).join('\n');
+  return `<table${attributes}><colgroup>${widths}</colgroup>\n${body}\n</table>`;
+}
+
+// CSS for the font of an element. Fonts the document embeds are used by
+// name (see fontFaces), others by family.
+function fontStyle(element, fonts) {
+  const styles = [];
+  if (element.fontSize) styles.push(`font-size:${pt(element.fontSize)}`);
+  const embedded = element.fontName && fonts[element.fontName] && fonts[element.fontName].data;
+  const families = [embedded ? element.fontName : null, element.fontFamily]
+    .filter(Boolean)
+    .map(name => `'${name.replace(/['\\"]/g, '')}'`);
+  if (families.length > 0) styles.push(`font-family:${families.join(',')},sans-serif`);
+  if (element.fontWeight) styles.push(`font-weight:${element.fontWeight}`);
+  if (element.italic) styles.push('font-style:italic');
+  if (element.color) styles.push(`color:${cssColor(element.color)}`);
+  return styles;
+}
+
+// Placement shared by every positioned element, with its rotation turning
+// it around the element's x/y point like /jsonToPdf does
+function placement(element, top) {
+  const styles = [`left:${pt(element.x)}`, `top:${pt(top)}`];
+  if (element.opacity !== undefined) styles.push(`opacity:${element.opacity}`);
+  if (element.rotation) {
+    styles.push(`transform-origin:0 ${pt(element.y - top)}`, `transform:rotate(${element.rotation}deg)`);
+  }
+  return styles;
+}
+
+function positionedPage(page, images, fonts) {
+  const parts = [];
+  const paths = [];
+
+  for (const element of page.elements) {
+    if (element.type === 'text' && element.text !== '') {
+      const top = element.box ? element.box.y : element.y - 0.8 * (element.fontSize || 12);
+      const styles = [...placement(element, top), ...fontStyle(element, fonts)];
+      if (element.maxWidth) {
+        styles.push(`width:${pt(element.maxWidth)}`, 'white-space:pre-wrap');
+        if (element.lineHeight) styles.push(`line-height:${element.lineHeight}`);
+        if (element.align) styles.push(`text-align:${element.align}`);
+      }
+      parts.push(`<div class="text" style="${styles.join(';')}">${escapeHtml(element.text)}</div>`);
+    } else if (element.type === 'image') {
+      const src = images.source(element);
+      if (!src) continue;
+      const styles = [...placement(element, element.y), `width:${pt(element.width)}`, `height:${pt(element.height)}`];
+      parts.push(`<img class="image" alt="" style="${styles.join(';')}" src="${escapeHtml(src)}">`);
+    } else if (element.type === 'table') {
+      const styles = [...placement(element, element.y), ...fontStyle(element, fonts)];
+      if (element.width) styles.push(`width:${pt(element.width)}`);
+      if (element.backgroundColor) styles.push(`background:${cssColor(element.backgroundColor)}`);
+      const borderWidth = element.borderWidth !== undefined ? element.borderWidth : 1;
+      const cellStyle = [
+        borderWidth > 0 ? `border:${pt(borderWidth)} solid ${cssColor(element.borderColor, '#000000')}` : 'border:none',
+        `padding:0 ${pt(element.padding !== undefined ? element.padding : 4)}`
+      ].join(';');
+      parts.push(htmlTable(element, ` class="table" style="${styles.join(';')}"`, cellStyle));
+    } else if (element.type === 'link') {
+      const href = element.url ? safeUrl(element.url) : element.destination ? `#page-${element.destination.page}` : null;
+      if (!href) continue;
+      const styles = [`left:${pt(element.x)}`, `top:${pt(element.y)}`, `width:${pt(element.width)}`, `height:${pt(element.height)}`];
+      parts.push(`<a class="link" href="${escapeHtml(href)}" style="${styles.join(';')}"></a>`);
+    } else if (element.type === 'path' && element.d) {
+      const attributes = [
+        `d="${escapeHtml(element.d)}"`,
+        `fill="${cssColor(element.fill, 'none')}"`,
+        `stroke="${cssColor(element.stroke, 'none')}"`,
+        `stroke-width="${element.lineWidth !== undefined ? element.lineWidth : 1}"`
+      ];
+      if (element.lineCap) attributes.push(`stroke-linecap="${element.lineCap === 'square' ? 'square' : element.lineCap}"`);
+      if (element.dash && element.dash.length > 0) attributes.push(`stroke-dasharray="${element.dash.join(' ')}"`);
+      if (element.opacity !== undefined) attributes.push(`fill-opacity="${element.opacity}"`);
+      if (element.strokeOpacity !== undefined) attributes.push(`stroke-opacity="${element.strokeOpacity}"`);
+      if (element.rotation) attributes.push(`transform="rotate(${element.rotation} ${element.x || 0} ${element.y || 0})"`);
+      paths.push(`<path ${attributes.join(' ')}/>`);
+    }
+  }
+
+  const svg = paths.length > 0
+    ? `<svg class="graphics" viewBox="0 0 ${page.width} ${page.height}" width="${pt(page.width)}" height="${pt(page.height)}">${paths.join('')}</svg>\n`
+    : '';
+  return svg + parts.join('\n');
+}
+
+function flowPage(page, sizes, images) {
+  const parts = [];
+  // Lists still open as { level, tag }, innermost last. The last item of
+  // each stays open so that deeper lists nest inside it.
+  const lists = [];
+  const closeList = () => parts.push(`</li></${lists.pop().tag}>`);
+
+  for (const block of classify(pageBlocks(page), sizes)) {
+    if (block.kind === 'listItem') {
+      const tag = block.ordered ? 'ol' : 'ul';
+      const last = () => lists[lists.length - 1];
+      while (last() && (last().level > block.level || (last().level === block.level && last().tag !== tag))) {
+        closeList();
+      }
+      if (last() && last().level === block.level) {
+        parts.push('</li>');
+      } else {
+        const start = block.ordered && block.number !== 1 ? ` start="${block.number}"` : '';
+        parts.push(`<${tag}${start}>`);
+        lists.push({ level: block.level, tag });
+      }
+      parts.push(`<li>${htmlRuns(block.runs)}`);
+      continue;
+    }
+
+    while (lists.length > 0) closeList();
+    if (block.kind === 'heading') {
+      parts.push(`<h${block.level}>${escapeHtml(block.runs.map(run => run.text).join(' '))}</h${block.level}>`);
+    } else if (block.kind === 'paragraph') {
+      parts.push(`<p>${htmlRuns(block.runs)}</p>`);
+    } else if (block.kind === 'table') {
+      parts.push(htmlTable(block.element));
+    } else if (block.kind === 'image') {
+      const src = images.source(block.element);
+      if (src) {
+        parts.push(`<img alt="" style="width:${pt(block.element.width)}" src="${escapeHtml(src)}">`);
+      }
+    }
+  }
+  while (lists.length > 0) closeList();
+
+  return parts.join('\n');
+}
+
+const POSITIONED_STYLE = `
+body { margin: 0; padding: 16px; background: #eee; }
+.page { position: relative; overflow: hidden; margin: 0 auto 16px; background: #fff; box-shadow: 0 1px 4px rgba(0,0,0,0.2); }
+.page > * { position: absolute; }
+.graphics { left: 0; top: 0; }
+.text { white-space: pre; line-height: 1; }
+.table { border-collapse: collapse; table-layout: fixed; }
+.link { display: block; }`;
+
+const FLOW_STYLE = `
+body { max-width: 800px; margin: 0 auto; padding: 16px; }
+table { border-collapse: collapse; }
+td { border: 1px solid #999; padding: 2px 6px; vertical-align: top; }
+img { max-width: 100%; }`;
+
+function fontFaces(doc) {
+  return Object.entries(doc.fonts || {})
+    .filter(([, font]) => font.data)
+    .map(([id, font]) => `@font-face { font-family: '${id.replace(/['\\]/g, '')}'; src: url(${font.data}); }`)
+    .join('\n');
+}
+
+function toHtml(doc, sizes, images, layout) {
+  const title = doc.metadata && doc.metadata.title ? escapeHtml(doc.metadata.title) : 'Document';
+  const style = [layout === 'flow' ? FLOW_STYLE : POSITIONED_STYLE, fontFaces(doc)].filter(Boolean).join('\n');
+
+  const pages = doc.pages.map((page, pageIndex) => {
+    const pageNumber = page.pageNumber || pageIndex + 1;
+    if (layout === 'flow') {
+      return `<section class="page" id="page-${pageNumber}">\n${flowPage(page, sizes, images)}\n</section>`;
+    }
+    const size = `width:${pt(page.width)};height:${pt(page.height)}`;
+    return `<section class="page" id="page-${pageNumber}" style="${size}">\n${positionedPage(page, images, doc.fonts || {})}\n</section>`;
+  });
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8">
+<title>${title}</title>
+<style>${style}
+</style>
+</head>
+<body>
+${pages.join('\n')}
+</body>
+</html>
+`;
+}
+
+// Export a document as { type, extension, body }. With images 'reference'
+// and images to write, body is a zip of document.{extension} and the
+// images under assets/.
+async function exportDocument(doc, { format, layout = 'positioned', images: imageMode = 'embed' }) {
+  const { type, extension } = EXPORT_FORMATS[format];
+  const sizes = headingSizes(doc);
+  const images = createImageSources(doc, format === 'text' ? 'none' : imageMode);
+
+  let body;
+  if (format === 'html') body = toHtml(doc, sizes, images, layout);
+  else if (format === 'markdown') body = toMarkdown(doc, sizes, images);
+  else body = toText(doc, sizes);
+
+  if (images.files.size === 0) return { type, extension, body };
+
+  const zip = new JSZip();
+  zip.file(`document.${extension}`, body);
+  for (const [name, bytes] of images.files) zip.file(name, bytes);
+  return {
+    type: 'application/zip',
+    extension: 'zip',
+    body: await zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' })
+  };
+}
+
+module.exports = { EXPORT_FORMATS, parseExportOptions, headingSizes, exportDocument };
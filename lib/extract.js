@@ -0,0 +1,243 @@
+const { describeFont } = require('./fonts');
+const { collectTextRuns, matchTextRun, collectGraphics } = require('./graphics');
+const { mergeTextElements } = require('./textBlocks');
+const { readRadioOptions, needsRadioOptions, collectFields } = require('./fields');
+const { readMetadata, readOutline, collectLinks } = require('./navigation');
+const { looksScanned } = require('./ocr');
+const { CanvasFactory, scaleForDpi, renderPage } = require('./raster');
+const { rawPixels, createAssetStore } = require('./assets');
+const { detectTables } = require('./tables');
+const { findQrCodes } = require('./barcodes');
+
+// Import PDF.js
+const pdfjsLib = require('pdfjs-dist/legacy/build/pdf.js');
+const pdfjsWorker = require('pdfjs-dist/legacy/build/pdf.worker.entry');
+
+// Set the worker source
+pdfjsLib.GlobalWorkerOptions.workerSrc = pdfjsWorker;
+
+// Radio export values of each loaded document, read once and only for
+// documents that need them
+const radioOptionsByDocument = new WeakMap();
+
+function radioOptionsOf(pdf) {
+  if (!radioOptionsByDocument.has(pdf)) {
+    radioOptionsByDocument.set(pdf, pdf.getData().then(readRadioOptions).catch(optionError => {
+      console.error('Error reading radio button options:', optionError);
+      return new Map();
+    }));
+  }
+  return radioOptionsByDocument.get(pdf);
+}
+
+// Load PDF document with Lambda-friendly settings. Encrypted documents need
+// their password; without the right one pdf.js rejects with a
+// PasswordException.
+function loadDocument(buffer, password) {
+  return pdfjsLib.getDocument({
+    data: new Uint8Array(buffer),
+    password,
+    verbosity: 0,
+    useSystemFonts: false,
+    useWorkerFetch: false,
+    isEvalSupported: false,
+    fontExtraProperties: true, // keeps the font programs in commonObjs
+    disableAutoFetch: true,
+    disableStream: true,
+    disableRange: true,
+    canvasFactory: new CanvasFactory()
+  }).promise;
+}
+
+// Look up a pdf.js font once per document and record it in the fonts table,
+// including the font program so /jsonToPdf can embed it again
+function describeFontOnce(page, fontName, fonts) {
+  if (!fonts[fontName]) {
+    let fontObj = null;
+    try {
+      if (page.commonObjs.has(fontName)) {
+        fontObj = page.commonObjs.get(fontName);
+      }
+    } catch (fontError) {
+      console.error(`Error reading font ${fontName}:`, fontError);
+    }
+    
+    const descriptor = describeFont(fontObj);
+    fonts[fontName] = { ...descriptor };
+    if (fontObj && fontObj.data && !fontObj.isType3Font && !fontObj.missingFile) {
+      fonts[fontName].data = `data:${fontObj.mimetype || 'font/otf'};base64,` +
+        Buffer.from(fontObj.data).toString('base64');
+    }
+  }
+  
+  const { family, weight, italic } = fonts[fontName];
+  return { family, weight, italic };
+}
+
+// Convert one page (1-based) into { pageNumber, width, height, elements }.
+// Fonts met on the page are added to the shared document fonts table.
+// options.textMode 'lines' or 'paragraphs' merges the pdf.js text items;
+// options.ocr (from createOcr) recognizes text on scanned pages, or on every
+// page with options.ocrMode 'force'. Images are added to options.assets (from
+// createAssetStore) and referenced by id, or kept inline without it.
+// options.tables turns tables found on the page into 'table' elements.
+// options.barcodes lists the QR codes found in every image as its 'codes'.
+async function extractPage(pdf, pageNumber, fonts, options = {}) {
+  const page = await pdf.getPage(pageNumber);
+  const viewport = page.getViewport({ scale: 1.0 });
+  
+  // The operator list has to be loaded first: it is what resolves the
+  // page fonts into page.commonObjs and carries the fill colors. Form
+  // widgets are left out of it; they come back as 'field' elements.
+  let opList = null;
+  try {
+    opList = await page.getOperatorList({ annotationMode: pdfjsLib.AnnotationMode.ENABLE_FORMS });
+  } catch (opError) {
+    console.error(`Error reading operators from page ${pageNumber}:`, opError);
+  }
+  const textRuns = opList ? collectTextRuns(opList) : [];
+  let runCursor = 0;
+  
+  // Get text content
+  const content = await page.getTextContent();
+  
+  // Process text elements
+  const rotated = new Set();
+  const textElements = content.items.map(item => {
+    const transform = item.transform;
+    // Baseline origin in top-left page coordinates, like every other element
+    const [x, y] = pdfjsLib.Util.applyTransform([transform[4], transform[5]], viewport.transform);
+    const font = describeFontOnce(page, item.fontName, fonts);
+    const match = matchTextRun(textRuns, item, runCursor);
+    runCursor = match.cursor;
+    
+    const element = {
+      type: 'text',
+      text: item.str,
+      x,
+      y,
+      fontSize: item.height || Math.hypot(transform[0], transform[1]),
+      width: item.width,
+      height: item.height,
+      fontName: item.fontName,
+      fontFamily: font.family,
+      fontWeight: font.weight,
+      italic: font.italic,
+      color: match.run ? match.run.color : '#000000'
+    };
+    if (transform[1] !== 0 || transform[2] !== 0) rotated.add(element);
+    return element;
+  });
+  
+  // Rotated text is left as it is; merging only follows horizontal lines
+  const metricsOf = fontName => {
+    const style = content.styles[fontName] || {};
+    return { ascent: style.ascent || 0.8, descent: style.descent || -0.2 };
+  };
+  // Interactive form fields and links. Widgets pdf.js still paints (push
+  // buttons and read-only fields) are recreated from the field, not from
+  // their drawing.
+  let fields = [];
+  let links = [];
+  const widgetIds = new Set();
+  try {
+    const annotations = await page.getAnnotations();
+    const radioOptions = needsRadioOptions(annotations) ? await radioOptionsOf(pdf) : undefined;
+    fields = collectFields(annotations, viewport, radioOptions);
+    links = await collectLinks(pdf, annotations, viewport, pageNumber);
+    for (const annotation of annotations) {
+      if (annotation.subtype === 'Widget' && annotation.fieldName) widgetIds.add(annotation.id);
+    }
+  } catch (annotationError) {
+    console.error(`Error reading annotations from page ${pageNumber}:`, annotationError);
+  }
+  
+  // Vector graphics and images, in the order the page paints them
+  let graphics = opList ? collectGraphics(opList, viewport, widgetIds) : [];
+  
+  // With options.tables, text and ruling lines that make up a table become
+  // part of a 'table' element instead
+  let flatText = textElements.filter(element => !rotated.has(element));
+  let tables = [];
+  if (options.tables) {
+    const found = detectTables(flatText, graphics.filter(graphic => graphic.type === 'path'), metricsOf);
+    tables = found.tables;
+    flatText = flatText.filter(element => !found.texts.has(element));
+    graphics = graphics.filter(graphic => !found.paths.has(graphic));
+  }
+  
+  const elements = [
+    ...(['lines', 'paragraphs'].includes(options.textMode)
+      ? mergeTextElements(flatText, options.textMode, metricsOf)
+      : flatText),
+    ...textElements.filter(element => rotated.has(element))
+  ];
+  
+  // Without a shared store images are written inline as PNG
+  const assets = options.assets || createAssetStore(null, { format: 'png' });
+  
+  for (const graphic of graphics) {
+    if (graphic.type !== 'image') {
+      elements.push(graphic);
+      continue;
+    }
+    
+    // Images go into the shared assets table and are referenced by id
+    const { objId, ...placement } = graphic;
+    try {
+      // Images shared between pages are kept in commonObjs
+      const img = objId.startsWith('g_')
+        ? await page.commonObjs.get(objId)
+        : await page.objs.get(objId);
+      
+      if (img && img.data) {
+        const id = await assets.addImage(img, { pageIndex: pageNumber - 1, objId });
+        const element = options.assets
+          ? { type: 'image', ...placement, asset: id }
+          : { type: 'image', ...placement, src: assets.assets[id].src };
+        if (options.barcodes) {
+          const toPage = placement.transform
+            ? (u, v) => pdfjsLib.Util.applyTransform([u, v], placement.transform)
+            : (u, v) => [placement.x + u * placement.width, placement.y + v * placement.height];
+          const codes = findQrCodes(rawPixels(img), toPage);
+          if (codes.length > 0) element.codes = codes;
+        }
+        elements.push(element);
+      }
+    } catch (imgError) {
+      console.error(`Error processing image ${objId}:`, imgError);
+    }
+  }
+  
+  elements.push(...tables, ...fields, ...links);
+  
+  if (options.ocr && (options.ocrMode === 'force' || looksScanned(elements, viewport.width, viewport.height))) {
+    try {
+      const scale = scaleForDpi(page, options.ocr.dpi);
+      const canvas = await renderPage(page, scale);
+      elements.push(...await options.ocr.recognize(canvas.toBuffer('image/png'), scale));
+    } catch (ocrError) {
+      console.error(`Error running OCR on page ${pageNumber}:`, ocrError);
+    }
+  }
+  
+  // Everything needed has been copied out, so let pdf.js drop its page caches
+  page.cleanup();
+  
+  return {
+    pageNumber,
+    width: viewport.width,
+    height: viewport.height,
+    elements
+  };
+}
+
+// Document-wide parts of the JSON: { metadata, outline }
+async function extractDocumentInfo(pdf) {
+  return {
+    metadata: await readMetadata(pdf),
+    outline: await readOutline(pdf)
+  };
+}
+
+module.exports = { pdfjsLib, loadDocument, extractPage, extractDocumentInfo };
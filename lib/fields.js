@@ -0,0 +1,437 @@
+const {
+  PDFDocument,
+  PDFName,
+  PDFArray,
+  PDFString,
+  PDFHexString,
+  PDFAcroSignature,
+  PDFWidgetAnnotation,
+  AnnotationFlags,
+  pushGraphicsState,
+  popGraphicsState,
+  drawRectangle,
+  drawLinesOfText,
+  rgb,
+  PDFTextField,
+  PDFCheckBox,
+  PDFRadioGroup,
+  PDFDropdown,
+  PDFOptionList,
+  PDFButton,
+  TextAlignment
+} = require('pdf-lib');
+const { toHex, parseColor } = require('./colors');
+const { missingCharacters } = require('./fonts');
+
+// AcroForm field flags pdf.js does not expose on its own (PDF 32000-1,
+// tables 228 and 230)
+const FIELD_FLAGS = {
+  PASSWORD: 1 << 13,
+  EDIT: 1 << 18
+};
+
+const ALIGNMENTS = ['left', 'center', 'right'];
+
+function fieldTypeOf(annotation) {
+  switch (annotation.fieldType) {
+    case 'Tx':
+      return 'text';
+    case 'Btn':
+      if (annotation.pushButton) return 'button';
+      return annotation.radioButton ? 'radio' : 'checkbox';
+    case 'Ch':
+      return annotation.combo ? 'dropdown' : 'listbox';
+    case 'Sig':
+      return 'signature';
+    default:
+      return null;
+  }
+}
+
+function colorOf(value) {
+  return value && value.length === 3 ? toHex(Array.from(value)) : undefined;
+}
+
+// Current value in the element's terms: text for text fields, a boolean for
+// checkboxes, the selected export value (or null) for radio groups and the
+// selected option(s) for choice fields
+function valueOf(annotation, fieldType) {
+  const value = annotation.fieldValue;
+  switch (fieldType) {
+    case 'checkbox':
+      return value !== null && value !== undefined && value !== 'Off' && value === annotation.exportValue;
+    case 'radio':
+      return value && value !== 'Off' ? value : null;
+    case 'dropdown':
+    case 'listbox':
+      if (annotation.multiSelect) return Array.isArray(value) ? value : value ? [value] : [];
+      return Array.isArray(value) ? (value[0] !== undefined ? value[0] : null) : value || null;
+    case 'text':
+      return typeof value === 'string' ? value : '';
+    default:
+      return null;
+  }
+}
+
+// Radio groups with an /Opt array, as pdf-lib writes them, name their
+// buttons' on-states by index into it. pdf.js does not read /Opt, so it is
+// read here with pdf-lib: a map of field name to export values. Encrypted
+// files give an empty map, since pdf-lib cannot decrypt their strings.
+async function readRadioOptions(bytes) {
+  const options = new Map();
+  const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+  if (pdfDoc.isEncrypted) return options;
+
+  for (const field of pdfDoc.getForm().getFields()) {
+    if (!(field instanceof PDFRadioGroup)) continue;
+    const opt = field.acroField.dict.lookupMaybe(PDFName.of('Opt'), PDFArray);
+    if (!opt) continue;
+    options.set(field.getName(), opt.asArray().map(item => {
+      const value = pdfDoc.context.lookup(item);
+      return value instanceof PDFString || value instanceof PDFHexString ? value.decodeText() : null;
+    }));
+  }
+  return options;
+}
+
+// Whether a page has radio buttons whose values need readRadioOptions
+function needsRadioOptions(annotations) {
+  return annotations.some(annotation => annotation.radioButton && /^\d+$/.test(annotation.buttonValue || ''));
+}
+
+// Turn the widget annotations of a page (pdf.js getAnnotations()) into
+// 'field' elements in top-left page coordinates. Every widget becomes its
+// own element, so radio buttons and fields shown in several places share a
+// name. radioOptions (from readRadioOptions) turns index on-states back into
+// export values.
+function collectFields(annotations, viewport, radioOptions = new Map()) {
+  const fields = [];
+
+  for (const annotation of annotations) {
+    if (annotation.subtype !== 'Widget' || !annotation.fieldName) continue;
+    const fieldType = fieldTypeOf(annotation);
+    if (!fieldType) continue;
+
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+    const appearance = annotation.defaultAppearanceData || {};
+    const flags = annotation.fieldFlags || 0;
+    const opt = fieldType === 'radio' ? radioOptions.get(annotation.fieldName) : null;
+    const exportValueOf = state => (opt && /^\d+$/.test(state || '') && opt[Number(state)] != null ? opt[Number(state)] : state);
+
+    const field = {
+      type: 'field',
+      fieldType,
+      name: annotation.fieldName,
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1),
+      value: valueOf(annotation, fieldType)
+    };
+    if (opt) field.value = exportValueOf(field.value);
+
+    if (fieldType === 'checkbox') field.exportValue = annotation.exportValue;
+    if (fieldType === 'radio') field.exportValue = exportValueOf(annotation.buttonValue);
+    if (fieldType === 'dropdown' || fieldType === 'listbox') {
+      field.options = (annotation.options || []).map(option => ({
+        value: option.exportValue,
+        label: option.displayValue
+      }));
+      if (annotation.multiSelect) field.multiSelect = true;
+      if (flags & FIELD_FLAGS.EDIT) field.editable = true;
+    }
+    if (fieldType === 'text') {
+      if (annotation.multiLine) field.multiline = true;
+      if (flags & FIELD_FLAGS.PASSWORD) field.password = true;
+      if (annotation.maxLen) field.maxLength = annotation.maxLen;
+      if (annotation.comb) field.comb = true;
+      if (ALIGNMENTS[annotation.textAlignment]) field.align = ALIGNMENTS[annotation.textAlignment];
+    }
+    if (annotation.readOnly) field.readOnly = true;
+    if (annotation.required) field.required = true;
+    if (annotation.hidden) field.hidden = true;
+    if (annotation.alternativeText) field.tooltip = annotation.alternativeText;
+    if (appearance.fontSize) field.fontSize = appearance.fontSize;
+    if (colorOf(appearance.fontColor)) field.color = colorOf(appearance.fontColor);
+    if (colorOf(annotation.backgroundColor)) field.backgroundColor = colorOf(annotation.backgroundColor);
+    if (colorOf(annotation.borderColor)) field.borderColor = colorOf(annotation.borderColor);
+
+    fields.push(field);
+  }
+
+  return fields;
+}
+
+const FIELD_CLASSES = {
+  text: PDFTextField,
+  checkbox: PDFCheckBox,
+  radio: PDFRadioGroup,
+  dropdown: PDFDropdown,
+  listbox: PDFOptionList,
+  button: PDFButton
+};
+
+// Find the field a widget belongs to, creating it on first use
+function fieldFor(form, element) {
+  const existing = form.getFieldMaybe(element.name);
+  if (existing) {
+    if (!(existing instanceof FIELD_CLASSES[element.fieldType])) {
+      throw new Error(`field '${element.name}' is already used by a field of another type`);
+    }
+    return { field: existing, created: false };
+  }
+
+  const create = {
+    text: () => form.createTextField(element.name),
+    checkbox: () => form.createCheckBox(element.name),
+    radio: () => form.createRadioGroup(element.name),
+    dropdown: () => form.createDropdown(element.name),
+    listbox: () => form.createOptionList(element.name),
+    button: () => form.createButton(element.name)
+  }[element.fieldType];
+  return { field: create(), created: true };
+}
+
+function optionLabels(element) {
+  return (element.options || []).map(option => option.label || option.value);
+}
+
+// Map selected export values onto the option labels pdf-lib works with
+function selectedLabels(element, value) {
+  const values = Array.isArray(value) ? value : [value];
+  return values
+    .filter(item => item !== null && item !== undefined)
+    .map(item => {
+      const option = (element.options || []).find(candidate => candidate.value === item || candidate.label === item);
+      return option ? option.label || option.value : String(item);
+    });
+}
+
+// Appearance stream of a signature widget: its background and border, and
+// once it is signed, lines of text in font (an embedded standard font)
+function signatureAppearance(context, widget, lines = [], font = null) {
+  const { width, height } = widget.getRectangle();
+  const characteristics = widget.getAppearanceCharacteristics();
+  const toRgb = components => (components && components.length === 3 ? rgb(...components) : undefined);
+  const background = toRgb(characteristics && characteristics.getBackgroundColor());
+  const border = toRgb(characteristics && characteristics.getBorderColor());
+
+  const operators = [pushGraphicsState()];
+  if (background || border) {
+    operators.push(...drawRectangle({
+      x: 0,
+      y: 0,
+      width,
+      height,
+      borderWidth: border ? 1 : 0,
+      color: background,
+      borderColor: border,
+      rotate: { type: 'degrees', angle: 0 },
+      xSkew: { type: 'degrees', angle: 0 },
+      ySkew: { type: 'degrees', angle: 0 }
+    }));
+  }
+
+  const resources = {};
+  if (font && lines.length > 0) {
+    // Font size and color from the field's /DA, shrunk until the lines fit
+    const da = /([\d.]+)\s+Tf(?:\s+([\d.]+)\s+([\d.]+)\s+([\d.]+)\s+rg)?/.exec(widget.getDefaultAppearance() || '') || [];
+    const padding = 2;
+    const widest = Math.max(...lines.map(line => font.widthOfTextAtSize(line, 1)));
+    const size = Math.min(
+      Number(da[1]) || 10,
+      (height - 2 * padding) / (lines.length * 1.2),
+      widest > 0 ? (width - 2 * padding) / widest : Infinity
+    );
+    operators.push(...drawLinesOfText(lines.map(line => font.encodeText(line)), {
+      color: da[2] !== undefined ? rgb(Number(da[2]), Number(da[3]), Number(da[4])) : rgb(0, 0, 0),
+      font: 'F0',
+      size,
+      lineHeight: size * 1.2,
+      x: padding,
+      y: height - padding - font.heightAtSize(size, { descender: false }),
+      rotate: { type: 'degrees', angle: 0 },
+      xSkew: { type: 'degrees', angle: 0 },
+      ySkew: { type: 'degrees', angle: 0 }
+    }));
+    resources.Font = { F0: font.ref };
+  }
+  operators.push(popGraphicsState());
+
+  return context.formXObject(operators, { BBox: [0, 0, width, height], Resources: resources });
+}
+
+// An empty signature field with a single widget, to be signed later
+function addSignatureField(page, element, form, widgetBox) {
+  if (form.getFieldMaybe(element.name)) {
+    throw new Error(`field '${element.name}' already exists; signature fields have a single widget`);
+  }
+  const { context } = form.doc;
+
+  // pdf-lib has no constructor for signature fields
+  const fieldDict = context.obj({ FT: 'Sig', Kids: [] });
+  const fieldRef = context.register(fieldDict);
+  const acroField = PDFAcroSignature.fromDict(fieldDict, fieldRef);
+  acroField.setPartialName(element.name);
+  form.acroForm.addField(fieldRef);
+  if (element.tooltip) acroField.dict.set(PDFName.of('TU'), PDFHexString.fromText(element.tooltip));
+
+  const widget = PDFWidgetAnnotation.create(context, fieldRef);
+  widget.setRectangle(widgetBox);
+  widget.setP(page.ref);
+  widget.setFlagTo(AnnotationFlags.Print, true);
+  widget.setFlagTo(AnnotationFlags.Hidden, Boolean(element.hidden));
+  const characteristics = widget.getOrCreateAppearanceCharacteristics();
+  if (widgetBox.backgroundColor) characteristics.setBackgroundColor(componentsOf(widgetBox.backgroundColor));
+  if (widgetBox.borderColor) characteristics.setBorderColor(componentsOf(widgetBox.borderColor));
+  const color = widgetBox.textColor ? componentsOf(widgetBox.textColor) : [0, 0, 0];
+  widget.setDefaultAppearance(`/Helv ${element.fontSize || 10} Tf ${color.join(' ')} rg`);
+  widget.setNormalAppearance(context.register(signatureAppearance(context, widget)));
+
+  const widgetRef = context.register(widget.dict);
+  acroField.addWidget(widgetRef);
+  page.node.addAnnot(widgetRef);
+}
+
+const componentsOf = color => [color.red, color.green, color.blue];
+
+// Add one 'field' element to the page as an interactive AcroForm widget.
+// Signature fields are left empty, for /jsonToPdf to sign the document into
+// one of them. Widgets draw their first appearance with font, or with
+// pdf-lib's Helvetica when there is none.
+function addField(page, element, form, pageHeight, font) {
+  const { field, created } = element.fieldType === 'signature' ? {} : fieldFor(form, element);
+  const widget = {
+    x: element.x,
+    y: pageHeight - element.y - element.height,
+    width: element.width,
+    height: element.height,
+    textColor: element.color ? parseColor(element.color) : undefined,
+    backgroundColor: element.backgroundColor ? parseColor(element.backgroundColor) : undefined,
+    borderColor: element.borderColor ? parseColor(element.borderColor) : undefined,
+    borderWidth: element.borderColor ? 1 : 0,
+    hidden: element.hidden,
+    font
+  };
+
+  switch (element.fieldType) {
+    case 'signature':
+      addSignatureField(page, element, form, widget);
+      return;
+    case 'text':
+      if (created) {
+        if (element.multiline) field.enableMultiline();
+        if (element.password) field.enablePassword();
+        if (element.maxLength) field.setMaxLength(element.maxLength);
+        if (element.comb && element.maxLength) field.enableCombing();
+        if (element.align) field.setAlignment(TextAlignment[element.align[0].toUpperCase() + element.align.slice(1)]);
+        if (element.value) field.setText(String(element.value));
+      }
+      field.addToPage(page, widget);
+      break;
+    case 'checkbox':
+      field.addToPage(page, widget);
+      if (element.value === true || (element.value && element.value === element.exportValue)) field.check();
+      break;
+    case 'radio': {
+      const option = element.exportValue || `option${field.getOptions().length + 1}`;
+      field.addOptionToPage(option, page, widget);
+      if (element.value && element.value === option) field.select(option);
+      break;
+    }
+    case 'dropdown':
+    case 'listbox':
+      if (created) {
+        field.setOptions(optionLabels(element));
+        if (element.multiSelect) field.enableMultiselect();
+        if (element.editable && element.fieldType === 'dropdown') field.enableEditing();
+        const selected = selectedLabels(element, element.value);
+        if (selected.length > 0) field.select(element.multiSelect ? selected : selected[0]);
+      }
+      field.addToPage(page, widget);
+      break;
+    case 'button':
+      field.addToPage(element.label || '', page, widget);
+      break;
+    default:
+      break;
+  }
+
+  if (created) {
+    if (element.fontSize && field.setFontSize) field.setFontSize(element.fontSize);
+    if (element.readOnly) field.enableReadOnly();
+    if (element.required) field.enableRequired();
+    if (element.tooltip) field.acroField.dict.set(PDFName.of('TU'), PDFHexString.fromText(element.tooltip));
+  }
+}
+
+// Fill fields by name with { name: value } after every page is drawn.
+// elements maps field names to their first 'field' element, whose options
+// translate export values into the labels pdf-lib stores. Unknown names and
+// values a field cannot take come back as warnings.
+function fillFields(form, values = {}, elements = {}) {
+  const warnings = [];
+
+  for (const [name, value] of Object.entries(values)) {
+    const path = `/form/values/${name.replace(/~/g, '~0').replace(/\//g, '~1')}`;
+    const field = form.getFieldMaybe(name);
+    if (!field) {
+      warnings.push({ path, message: `no field named '${name}'` });
+      continue;
+    }
+
+    try {
+      if (field instanceof PDFTextField) {
+        field.setText(value === null || value === undefined ? '' : String(value));
+      } else if (field instanceof PDFCheckBox) {
+        if (value === true || (typeof value === 'string' && value !== 'Off' && value !== '')) field.check();
+        else field.uncheck();
+      } else if (field instanceof PDFRadioGroup) {
+        if (value === null || value === undefined || value === 'Off') field.clear();
+        else field.select(String(value));
+      } else if (field instanceof PDFDropdown || field instanceof PDFOptionList) {
+        const selected = selectedLabels(elements[name] || {}, value);
+        if (selected.length === 0) field.clear();
+        else field.select(Array.isArray(value) ? selected : selected[0]);
+      } else {
+        warnings.push({ path, message: `field '${name}' cannot be filled` });
+      }
+    } catch (error) {
+      warnings.push({ path, message: error.message });
+    }
+  }
+
+  return warnings;
+}
+
+// Text the appearance of a text or choice field has to show
+function displayedText(field) {
+  if (field instanceof PDFTextField) return field.getText() || '';
+  return [...field.getOptions(), ...field.getSelected()].join('');
+}
+
+// Build text and choice field appearances with a font that can show their
+// values, so that non-Latin values do not make saving fail. resolveFonts is
+// the document's font resolver.
+async function updateFieldAppearances(form, resolveFonts) {
+  for (const field of form.getFields()) {
+    const hasText = field instanceof PDFTextField || field instanceof PDFDropdown || field instanceof PDFOptionList;
+    if (!hasText || !field.needsAppearancesUpdate()) continue;
+
+    const text = displayedText(field);
+    const chain = await resolveFonts({ text });
+    const font = chain.find(candidate => missingCharacters(text, [candidate]).length === 0) || chain[0];
+    field.updateAppearances(font.pdfFont);
+  }
+}
+
+module.exports = {
+  readRadioOptions,
+  needsRadioOptions,
+  collectFields,
+  addField,
+  addSignatureField,
+  fillFields,
+  updateFieldAppearances,
+  signatureAppearance
+};
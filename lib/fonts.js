@@ -0,0 +1,275 @@
+const fs = require('fs');
+// fontkit's Indic and other complex-script shapers are transpiled generators
+// that expect a global regeneratorRuntime
+require('regenerator-runtime/runtime');
+const fontkit = require('@pdf-lib/fontkit');
+const { StandardFonts } = require('pdf-lib');
+
+const BOLD_PATTERN = /bold|black|heavy|semibold|demibold|demi|extrabold|ultrabold/i;
+const BLACK_PATTERN = /black|heavy|ultrabold|extrabold/i;
+const ITALIC_PATTERN = /italic|oblique|slanted|inclined/i;
+const SERIF_PATTERN = /times|georgia|garamond|cambria|palatino|bookman|minion|baskerville|century|didot|roman|serif/i;
+const MONO_PATTERN = /courier|mono|consolas|menlo|inconsolata|typewriter/i;
+
+// Turn a pdf.js font object (from page.commonObjs) into family/weight/italic
+// e.g. 'ABCDEF+Arial-BoldItalicMT' -> { family: 'Arial', weight: 700, italic: true }
+function describeFont(font) {
+  const rawName = (font && (font.name || font.fallbackName)) || '';
+  const name = rawName.replace(/^[A-Z]{6}\+/, '');
+  const [familyPart, ...styleParts] = name.split(/[-,]/);
+  const style = styleParts.join(' ');
+
+  let family = familyPart
+    .replace(/(PSMT|PS|MT)$/, '')
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .trim();
+
+  if (font && font.cssFontInfo && font.cssFontInfo.fontFamily) {
+    family = font.cssFontInfo.fontFamily;
+  }
+
+  // Some producers glue the style onto the family name ('ArialBold')
+  const styleSource = style || name;
+  const bold = Boolean(font && (font.bold || font.black)) || BOLD_PATTERN.test(styleSource);
+  const black = Boolean(font && font.black) || BLACK_PATTERN.test(styleSource);
+  const italic = Boolean(font && font.italic) || ITALIC_PATTERN.test(styleSource);
+
+  if (!style) {
+    family = family.replace(/\s*(Bold|Italic|Oblique|Black|Heavy)+$/i, '').trim();
+  }
+
+  return {
+    family: family || 'Helvetica',
+    weight: black ? 900 : bold ? 700 : 400,
+    italic
+  };
+}
+
+// Pick the closest of the 14 standard PDF fonts for a family/weight/italic combination
+function standardFontFor({ family = '', weight = 400, italic = false } = {}) {
+  const bold = weight >= 600;
+
+  if (MONO_PATTERN.test(family)) {
+    if (bold && italic) return StandardFonts.CourierBoldOblique;
+    if (bold) return StandardFonts.CourierBold;
+    if (italic) return StandardFonts.CourierOblique;
+    return StandardFonts.Courier;
+  }
+
+  if (SERIF_PATTERN.test(family) && !/sans/i.test(family)) {
+    if (bold && italic) return StandardFonts.TimesRomanBoldItalic;
+    if (bold) return StandardFonts.TimesRomanBold;
+    if (italic) return StandardFonts.TimesRomanItalic;
+    return StandardFonts.TimesRoman;
+  }
+
+  if (bold && italic) return StandardFonts.HelveticaBoldOblique;
+  if (bold) return StandardFonts.HelveticaBold;
+  if (italic) return StandardFonts.HelveticaOblique;
+  return StandardFonts.Helvetica;
+}
+
+// Unicode fonts shipped with the API. They are tried character by character
+// after an element's own fonts: Noto Sans covers Latin, Greek, Cyrillic and
+// signs such as ₹, the others add Indian scripts. CJK and emoji need a font
+// uploaded with the request (a fonts table entry marked 'fallback').
+const BUNDLED_FONTS = [
+  { package: '@expo-google-fonts/noto-sans', prefix: 'NotoSans', italics: true },
+  { package: '@expo-google-fonts/noto-sans-devanagari', prefix: 'NotoSansDevanagari' },
+  { package: '@expo-google-fonts/noto-sans-tamil', prefix: 'NotoSansTamil' }
+];
+
+// Parsed bundled fonts, shared by every request of the process
+const bundledFontFiles = new Map();
+
+function bundledFontFile(font, { weight = 400, italic = false } = {}) {
+  const style = (weight >= 600 ? '700Bold' : '400Regular') + (italic && font.italics ? '_Italic' : '');
+  const file = require.resolve(`${font.package}/${style}/${font.prefix}_${style}.ttf`);
+
+  if (!bundledFontFiles.has(file)) {
+    const bytes = fs.readFileSync(file);
+    bundledFontFiles.set(file, {
+      key: `bundled:${file}`,
+      bytes,
+      characterSet: new Set(fontkit.create(bytes).characterSet)
+    });
+  }
+  return bundledFontFiles.get(file);
+}
+
+function decodeFontData(data) {
+  if (!data) return null;
+  return Buffer.from(String(data).replace(/^data:[^;]+;base64,/, ''), 'base64');
+}
+
+function characterSetOf(font) {
+  if (!font.characterSet) {
+    font.characterSet = new Set(font.pdfFont.getCharacterSet());
+  }
+  return font.characterSet;
+}
+
+function fontFor(code, chain) {
+  return chain.find(candidate => characterSetOf(candidate).has(code));
+}
+
+// Split text into runs that each use the first font of the chain able to
+// render them. Subset font programs often lack glyphs (even the space), so
+// those characters drop through to the standard and Unicode fonts further
+// down the chain. Characters no font has get a run without a font, which is
+// measured and drawn as nothing; whitespace becomes a plain space instead.
+function splitRuns(text, chain) {
+  const runs = [];
+  for (let char of text) {
+    let font = fontFor(char.codePointAt(0), chain);
+    if (!font && /\s/.test(char)) {
+      char = ' ';
+      font = fontFor(32, chain);
+    }
+    font = font || null;
+
+    const last = runs[runs.length - 1];
+    if (last && last.font === font) {
+      last.text += char;
+    } else {
+      runs.push({ text: char, font });
+    }
+  }
+  return runs;
+}
+
+// Characters of the text that no font of the chain can render, e.g. ['😀']
+function missingCharacters(text, chain) {
+  const missing = new Set();
+  for (const char of String(text)) {
+    if (!/\s/.test(char) && !fontFor(char.codePointAt(0), chain)) missing.add(char);
+  }
+  return [...missing];
+}
+
+function measureRuns(runs, size) {
+  return runs.reduce((width, run) => width + (run.font ? run.font.pdfFont.widthOfTextAtSize(run.text, size) : 0), 0);
+}
+
+// Draw text run by run, advancing along the baseline after each one
+function drawRuns(page, runs, { x, y, size, color }) {
+  let cursor = x;
+  for (const run of runs) {
+    if (!run.font) continue;
+    page.drawText(run.text, { x: cursor, y, size, font: run.font.pdfFont, color });
+    cursor += run.font.pdfFont.widthOfTextAtSize(run.text, size);
+  }
+}
+
+// Resolves the font chain for each text element of a document, embedding
+// every font program or standard font at most once. The pdfDoc must already
+// have fontkit registered for custom font programs to embed.
+//
+// A chain is [element's own font program, closest standard font, uploaded
+// fallback fonts, bundled Unicode fonts]; fallback and bundled fonts are only
+// embedded (as subsets) once some text actually needs one of their glyphs.
+// With embedAll, as PDF/A needs, Noto Sans takes the place of the standard
+// font, whose program is never embedded.
+function createFontResolver(pdfDoc, fontTable = {}, { embedAll = false } = {}) {
+  const embedded = new Map();
+  const uploadedFallbacks = [];
+
+  for (const [fontName, fontInfo] of Object.entries(fontTable || {})) {
+    if (!fontInfo.fallback || !fontInfo.data) continue;
+    try {
+      const bytes = decodeFontData(fontInfo.data);
+      uploadedFallbacks.push({
+        key: `fallback:${fontName}`,
+        bytes,
+        characterSet: new Set(fontkit.create(bytes).characterSet)
+      });
+    } catch (error) {
+      console.error(`Error reading fallback font ${fontName}:`, error.message);
+    }
+  }
+
+  function embedStandard(name) {
+    const key = `standard:${name}`;
+    if (!embedded.has(key)) {
+      embedded.set(key, pdfDoc.embedFont(name).then(pdfFont => ({ pdfFont })));
+    }
+    return embedded.get(key);
+  }
+
+  function embedProgram(fontName, fontInfo) {
+    const key = `program:${fontName}`;
+    if (!embedded.has(key)) {
+      embedded.set(key, pdfDoc.embedFont(decodeFontData(fontInfo.data))
+        .then(pdfFont => ({ pdfFont }))
+        .catch(error => {
+          console.error(`Error embedding font ${fontName}, using a standard font:`, error.message);
+          return null;
+        }));
+    }
+    return embedded.get(key);
+  }
+
+  function embedFallback(source) {
+    if (!embedded.has(source.key)) {
+      embedded.set(source.key, pdfDoc.embedFont(source.bytes, { subset: true })
+        .then(pdfFont => ({ pdfFont, characterSet: source.characterSet }))
+        .catch(error => {
+          console.error(`Error embedding font ${source.key}:`, error.message);
+          return null;
+        }));
+    }
+    return embedded.get(source.key);
+  }
+
+  return async function resolveFonts(element) {
+    const fontInfo = (element.fontName && fontTable && fontTable[element.fontName]) || {};
+    const descriptor = {
+      family: element.fontFamily || fontInfo.family,
+      weight: element.fontWeight || fontInfo.weight,
+      italic: element.italic !== undefined ? element.italic : fontInfo.italic
+    };
+
+    const chain = [];
+    if (fontInfo.data) {
+      const program = await embedProgram(element.fontName, fontInfo);
+      if (program) chain.push(program);
+    }
+    if (embedAll) {
+      const font = await embedFallback(bundledFontFile(BUNDLED_FONTS[0], descriptor));
+      if (font) chain.push(font);
+    } else {
+      chain.push(await embedStandard(standardFontFor(descriptor)));
+    }
+
+    let missing = missingCharacters(element.text || '', chain);
+    if (missing.length === 0) return chain;
+
+    const fallbacks = [
+      ...uploadedFallbacks,
+      ...BUNDLED_FONTS.map(font => bundledFontFile(font, descriptor))
+    ];
+
+    for (const source of fallbacks) {
+      if (missing.length === 0) break;
+      if (!missing.some(char => source.characterSet.has(char.codePointAt(0)))) continue;
+
+      const font = await embedFallback(source);
+      if (font) {
+        chain.push(font);
+        missing = missingCharacters(missing.join(''), chain);
+      }
+    }
+
+    return chain;
+  };
+}
+
+module.exports = {
+  describeFont,
+  standardFontFor,
+  createFontResolver,
+  splitRuns,
+  missingCharacters,
+  measureRuns,
+  drawRuns
+};
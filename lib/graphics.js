@@ -0,0 +1,373 @@
+const { OPS, Util } = require('pdfjs-dist/legacy/build/pdf.js');
+const { toHex } = require('./colors');
+
+const IDENTITY_MATRIX = [1, 0, 0, 1, 0, 0];
+const LINE_CAPS = ['butt', 'round', 'square'];
+
+const PAINT_OPS = {
+  [OPS.stroke]: { stroke: true },
+  [OPS.closeStroke]: { stroke: true, close: true },
+  [OPS.fill]: { fill: true },
+  [OPS.eoFill]: { fill: true },
+  [OPS.fillStroke]: { fill: true, stroke: true },
+  [OPS.eoFillStroke]: { fill: true, stroke: true },
+  [OPS.closeFillStroke]: { fill: true, stroke: true, close: true },
+  [OPS.closeEOFillStroke]: { fill: true, stroke: true, close: true }
+};
+
+const IMAGE_OPS = new Set([
+  OPS.paintImageXObject,
+  OPS.paintImageXObjectRepeat,
+  OPS.paintJpegXObject
+]);
+
+const SHOW_TEXT_OPS = new Set([
+  OPS.showText,
+  OPS.showSpacedText,
+  OPS.nextLineShowText,
+  OPS.nextLineSetSpacingShowText
+]);
+
+// Glyph arrays from pdf.js mix glyph objects with numeric spacing adjustments
+function glyphsToString(glyphs) {
+  if (!Array.isArray(glyphs)) return '';
+  return glyphs
+    .map(glyph => (glyph && typeof glyph === 'object' ? glyph.unicode || '' : ''))
+    .join('');
+}
+
+function initialState() {
+  return {
+    ctm: IDENTITY_MATRIX,
+    fontName: null,
+    fillColor: '#000000',
+    strokeColor: '#000000',
+    lineWidth: 1,
+    lineCap: 0,
+    dashArray: [],
+    dashPhase: 0,
+    fillAlpha: 1,
+    strokeAlpha: 1
+  };
+}
+
+function applyExtGState(state, entries) {
+  for (const [key, value] of entries || []) {
+    if (key === 'LW') state.lineWidth = value;
+    else if (key === 'LC') state.lineCap = value;
+    else if (key === 'D') [state.dashArray, state.dashPhase] = value;
+    else if (key === 'ca') state.fillAlpha = value;
+    else if (key === 'CA') state.strokeAlpha = value;
+  }
+}
+
+// Walk an operator list while tracking the graphics state (CTM through
+// save/restore/transform, colors, line width, cap and dash, and font). The visitor is called
+// for every operator with the state in effect when it runs.
+function walkOperators(opList, visit) {
+  const ops = opList.fnArray;
+  const args = opList.argsArray;
+  const stack = [];
+  let state = initialState();
+
+  for (let i = 0; i < ops.length; i++) {
+    const fn = ops[i];
+    const fnArgs = args[i];
+
+    switch (fn) {
+      case OPS.save:
+        stack.push({ ...state });
+        break;
+      case OPS.restore:
+        state = stack.pop() || state;
+        break;
+      case OPS.transform:
+        state.ctm = Util.transform(state.ctm, fnArgs);
+        break;
+      case OPS.setFont:
+        state.fontName = fnArgs[0];
+        break;
+      case OPS.setFillRGBColor:
+        state.fillColor = toHex(fnArgs);
+        break;
+      case OPS.setStrokeRGBColor:
+        state.strokeColor = toHex(fnArgs);
+        break;
+      case OPS.setLineWidth:
+        state.lineWidth = fnArgs[0];
+        break;
+      case OPS.setLineCap:
+        state.lineCap = fnArgs[0];
+        break;
+      case OPS.setDash:
+        state.dashArray = fnArgs[0] || [];
+        state.dashPhase = fnArgs[1] || 0;
+        break;
+      case OPS.setGState:
+        applyExtGState(state, fnArgs[0]);
+        break;
+      case OPS.beginAnnotation: {
+        // Annotation appearances start from a fresh state, placed on the
+        // page by the annotation's transform and appearance matrix
+        const [id, , transform, matrix] = fnArgs;
+        stack.push(state);
+        state = {
+          ...initialState(),
+          ctm: Util.transform(Util.transform(state.ctm, transform), matrix),
+          annotationId: id
+        };
+        break;
+      }
+      case OPS.endAnnotation:
+        state = stack.pop() || state;
+        break;
+    }
+
+    visit(fn, fnArgs, state, i);
+  }
+}
+
+// Record every text-showing operation together with the font and fill color
+// that were active when it ran
+function collectTextRuns(opList) {
+  const runs = [];
+
+  walkOperators(opList, (fn, args, state) => {
+    if (SHOW_TEXT_OPS.has(fn)) {
+      const glyphs = fn === OPS.nextLineSetSpacingShowText ? args[2] : args[0];
+      runs.push({
+        fontName: state.fontName,
+        color: state.fillColor,
+        text: glyphsToString(glyphs)
+      });
+    }
+  });
+
+  return runs;
+}
+
+const round = value => Math.round(value * 100) / 100;
+
+// Convert a pdf.js constructPath op into SVG path data in page space
+function buildPath(pathOps, coords, matrix) {
+  const segments = [];
+  const points = [];
+  let current = [0, 0];
+  let start = [0, 0];
+  let c = 0;
+
+  const point = (x, y) => {
+    const p = Util.applyTransform([x, y], matrix);
+    points.push(p);
+    return `${round(p[0])} ${round(p[1])}`;
+  };
+
+  for (const op of pathOps) {
+    switch (op) {
+      case OPS.moveTo:
+        current = start = [coords[c], coords[c + 1]];
+        // A moveTo straight after another one only moves the pen
+        if (segments.length > 0 && segments[segments.length - 1].startsWith('M ')) {
+          segments.pop();
+          points.pop();
+        }
+        segments.push(`M ${point(...current)}`);
+        c += 2;
+        break;
+      case OPS.lineTo:
+        current = [coords[c], coords[c + 1]];
+        segments.push(`L ${point(...current)}`);
+        c += 2;
+        break;
+      case OPS.curveTo:
+        segments.push(`C ${point(coords[c], coords[c + 1])} ${point(coords[c + 2], coords[c + 3])} ${point(coords[c + 4], coords[c + 5])}`);
+        current = [coords[c + 4], coords[c + 5]];
+        c += 6;
+        break;
+      case OPS.curveTo2:
+        segments.push(`C ${point(...current)} ${point(coords[c], coords[c + 1])} ${point(coords[c + 2], coords[c + 3])}`);
+        current = [coords[c + 2], coords[c + 3]];
+        c += 4;
+        break;
+      case OPS.curveTo3:
+        segments.push(`C ${point(coords[c], coords[c + 1])} ${point(coords[c + 2], coords[c + 3])} ${point(coords[c + 2], coords[c + 3])}`);
+        current = [coords[c + 2], coords[c + 3]];
+        c += 4;
+        break;
+      case OPS.closePath:
+        segments.push('Z');
+        current = start;
+        break;
+      case OPS.rectangle: {
+        const [x, y, w, h] = coords.slice(c, c + 4);
+        segments.push(`M ${point(x, y)} L ${point(x + w, y)} L ${point(x + w, y + h)} L ${point(x, y + h)} Z`);
+        current = start = [x, y];
+        c += 4;
+        break;
+      }
+    }
+  }
+
+  return { d: segments.join(' '), points };
+}
+
+// Images are painted into the unit square of the current CTM. Work out where
+// that square lands in top-left page coordinates: a plain box when it is only
+// scaled and translated, plus the full matrix when it is rotated, skewed or
+// mirrored. The matrix maps the image (0,0 = top-left pixel) onto the page.
+function placeImage(ctm, viewport) {
+  const m = Util.transform(viewport.transform, ctm);
+  const transform = [m[0], m[1], -m[2], -m[3], m[2] + m[4], m[3] + m[5]];
+
+  const corners = [[0, 0], [1, 0], [0, 1], [1, 1]].map(p => Util.applyTransform(p, transform));
+  const xs = corners.map(p => p[0]);
+  const ys = corners.map(p => p[1]);
+  const x = Math.min(...xs);
+  const y = Math.min(...ys);
+
+  const placement = {
+    x: round(x),
+    y: round(y),
+    width: round(Math.max(...xs) - x),
+    height: round(Math.max(...ys) - y)
+  };
+
+  const axisAligned = Math.abs(transform[1]) < 1e-6 && Math.abs(transform[2]) < 1e-6 &&
+    transform[0] > 0 && transform[3] > 0;
+  if (!axisAligned) {
+    placement.transform = transform.map(v => Math.round(v * 10000) / 10000);
+  }
+
+  return placement;
+}
+
+// Collect stroked and filled paths as 'path' elements, and image placements
+// as 'image' elements still waiting for their pixels (objId), in the order
+// the page paints them and in top-left page coordinates. Appearances of the
+// annotations in skipAnnotations (ids) are left out.
+function collectGraphics(opList, viewport, skipAnnotations = new Set()) {
+  const graphics = [];
+  let pending = null;
+
+  // Placements that round to no width or height paint nothing, and the
+  // schema would not take them back
+  const pushImage = (objId, ctm) => {
+    const placement = placeImage(ctm, viewport);
+    if (placement.width > 0 && placement.height > 0) graphics.push({ type: 'image', objId, ...placement });
+  };
+
+  walkOperators(opList, (fn, args, state) => {
+    if (state.annotationId && skipAnnotations.has(state.annotationId)) return;
+
+    if (IMAGE_OPS.has(fn)) {
+      if (fn === OPS.paintImageXObjectRepeat) {
+        const [objId, scaleX, scaleY, positions] = args;
+        for (let k = 0; k < positions.length; k += 2) {
+          const ctm = Util.transform(state.ctm, [scaleX, 0, 0, scaleY, positions[k], positions[k + 1]]);
+          pushImage(objId, ctm);
+        }
+      } else {
+        pushImage(args[0], state.ctm);
+      }
+      return;
+    }
+
+    if (fn === OPS.constructPath) {
+      const matrix = Util.transform(viewport.transform, state.ctm);
+      const built = buildPath(args[0], args[1], matrix);
+      // Path construction can be split by state changes before it is painted
+      pending = pending ? mergePaths(pending, built) : built;
+      return;
+    }
+
+    if (fn === OPS.endPath || fn === OPS.clip || fn === OPS.eoClip) {
+      // Clipping paths are not painted
+      if (fn === OPS.endPath) pending = null;
+      return;
+    }
+
+    const paint = PAINT_OPS[fn];
+    if (!paint || !pending) return;
+
+    const { d, points } = pending;
+    if (points.length === 0) {
+      pending = null;
+      return;
+    }
+
+    const scale = Math.sqrt(Math.abs(state.ctm[0] * state.ctm[3] - state.ctm[1] * state.ctm[2])) || 1;
+    const bounds = points.reduce((box, [px, py]) => [
+      Math.min(box[0], px), Math.min(box[1], py), Math.max(box[2], px), Math.max(box[3], py)
+    ], [Infinity, Infinity, -Infinity, -Infinity]);
+    const [x, y] = bounds;
+
+    const element = {
+      type: 'path',
+      x: round(x),
+      y: round(y),
+      width: round(bounds[2] - x),
+      height: round(bounds[3] - y),
+      d: paint.close && !/Z$/.test(d) ? `${d} Z` : d,
+      stroke: paint.stroke ? state.strokeColor : null,
+      fill: paint.fill ? state.fillColor : null,
+      lineWidth: round(state.lineWidth * scale) || 1,
+      lineCap: LINE_CAPS[state.lineCap] || 'butt'
+    };
+
+    if (element.fill && state.fillAlpha < 1) element.opacity = state.fillAlpha;
+    if (element.stroke && state.strokeAlpha < 1) element.strokeOpacity = state.strokeAlpha;
+
+    if (state.dashArray.length > 0) {
+      element.dash = state.dashArray.map(v => round(v * scale));
+      element.dashPhase = round(state.dashPhase * scale);
+    }
+
+    // Boxes that survive the transform unrotated can be redrawn as rectangles
+    if (isAxisAlignedBox(element.d, points)) {
+      element.shape = 'rectangle';
+    } else if (/^M [^A-Z]+ L [^A-Z]+$/.test(element.d)) {
+      element.shape = 'line';
+    }
+
+    graphics.push(element);
+    pending = null;
+  });
+
+  return graphics;
+}
+
+// A single closed four-sided polyline whose corners share two xs and two ys
+function isAxisAlignedBox(d, points) {
+  if (!/^M [^A-Z]+( L [^A-Z]+){3,4} Z$/.test(d)) return false;
+  const xs = new Set(points.map(p => round(p[0])));
+  const ys = new Set(points.map(p => round(p[1])));
+  return xs.size === 2 && ys.size === 2;
+}
+
+function mergePaths(a, b) {
+  return {
+    d: `${a.d} ${b.d}`,
+    points: [...a.points, ...b.points]
+  };
+}
+
+// Text content items come out in content-stream order, so walk the runs with a
+// cursor and pick the first run in the same font that contains the item's text
+function matchTextRun(runs, item, cursor) {
+  const needle = item.str.trim().slice(0, 8);
+  if (!needle) return { run: null, cursor };
+
+  const matches = run => run.fontName === item.fontName &&
+    (run.text.includes(needle) || (run.text.trim() && needle.includes(run.text.trim())));
+
+  for (let r = cursor; r < runs.length; r++) {
+    if (matches(runs[r])) return { run: runs[r], cursor: r };
+  }
+  for (let r = 0; r < cursor && r < runs.length; r++) {
+    if (matches(runs[r])) return { run: runs[r], cursor };
+  }
+
+  return { run: null, cursor };
+}
+
+module.exports = { walkOperators, collectTextRuns, matchTextRun, collectGraphics };
@@ -0,0 +1,347 @@
+const crypto = require('crypto');
+const dns = require('dns');
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+
+// Finished jobs and their results are dropped after this long
+const JOB_TTL_MS = 24 * 60 * 60 * 1000;
+
+const WEBHOOK_ATTEMPTS = 3;
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Addresses webhooks may not point at: this host, the cloud metadata
+// service and private networks the server can reach but clients cannot
+const PRIVATE_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['224.0.0.0', 3]
+]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv4');
+}
+for (const [network, prefix] of [['::', 127], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]]) {
+  PRIVATE_ADDRESSES.addSubnet(network, prefix, 'ipv6');
+}
+
+// Job stores keep job records ({ id, type, status, progress, ... }) and
+// results. Every method is async, so a store backed by a database or object
+// storage can take the place of these two.
+
+// Keeps everything in process memory; jobs are lost on restart
+function createMemoryStore() {
+  const jobs = new Map();
+  const results = new Map();
+
+  return {
+    async create(job) {
+      const now = Date.now();
+      for (const [id, stored] of jobs) {
+        if (stored.finishedAt && now - Date.parse(stored.finishedAt) > JOB_TTL_MS) {
+          jobs.delete(id);
+          results.delete(id);
+        }
+      }
+      jobs.set(job.id, { ...job });
+    },
+
+    async get(id) {
+      const job = jobs.get(id);
+      return job ? { ...job } : null;
+    },
+
+    async update(id, changes) {
+      const job = { ...jobs.get(id), ...changes, updatedAt: new Date().toISOString() };
+      jobs.set(id, job);
+      return { ...job };
+    },
+
+    async saveResult(id, result) {
+      results.set(id, result);
+    },
+
+    async getResult(id) {
+      return results.has(id) ? results.get(id) : null;
+    }
+  };
+}
+
+// Keeps every job as {id}.json and its result as {id}.result.json in dir,
+// so several local processes can share them and they survive restarts
+function createFileStore(dir = path.join(os.tmpdir(), 'pdf-json-jobs')) {
+  fs.mkdirSync(dir, { recursive: true });
+
+  const jobFile = id => path.join(dir, `${id}.json`);
+  const resultFile = id => path.join(dir, `${id}.result.json`);
+
+  // Write then rename, so readers never see a half-written file
+  const writeJson = async (file, value) => {
+    const partial = `${file}.${process.pid}`;
+    await fs.promises.writeFile(partial, JSON.stringify(value));
+    await fs.promises.rename(partial, file);
+  };
+
+  const readJson = async file => {
+    try {
+      return JSON.parse(await fs.promises.readFile(file, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+
+  const prune = async () => {
+    const now = Date.now();
+    for (const name of await fs.promises.readdir(dir)) {
+      if (!/^[\w-]+\.json$/.test(name) || name.endsWith('.result.json')) continue;
+      const job = await readJson(path.join(dir, name)).catch(() => null);
+      if (job && job.finishedAt && now - Date.parse(job.finishedAt) > JOB_TTL_MS) {
+        await fs.promises.rm(jobFile(job.id), { force: true });
+        await fs.promises.rm(resultFile(job.id), { force: true });
+      }
+    }
+  };
+
+  // Ids come from request paths, so only well-formed ones touch the disk
+  const validId = id => /^[\w-]+$/.test(id);
+
+  return {
+    async create(job) {
+      await prune();
+      await writeJson(jobFile(job.id), job);
+    },
+
+    async get(id) {
+      return validId(id) ? readJson(jobFile(id)) : null;
+    },
+
+    async update(id, changes) {
+      const job = { ...await readJson(jobFile(id)), ...changes, updatedAt: new Date().toISOString() };
+      await writeJson(jobFile(id), job);
+      return job;
+    },
+
+    async saveResult(id, result) {
+      await writeJson(resultFile(id), result);
+    },
+
+    async getResult(id) {
+      return validId(id) ? readJson(resultFile(id)) : null;
+    }
+  };
+}
+
+// Runs queued tasks in this process, concurrency at a time. A queue only
+// needs enqueue(task); one that hands jobs to other workers can replace it.
+function createLocalQueue(concurrency = 1) {
+  const waiting = [];
+  let running = 0;
+
+  const next = () => {
+    if (running >= concurrency || waiting.length === 0) return;
+    const task = waiting.shift();
+    running++;
+    Promise.resolve()
+      .then(task)
+      .catch(error => console.error('Error running queued task:', error))
+      .finally(() => {
+        running--;
+        next();
+      });
+  };
+
+  return {
+    enqueue(task) {
+      waiting.push(task);
+      next();
+    }
+  };
+}
+
+function isPrivateAddress(address) {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(address);
+  if (mapped) return isPrivateAddress(mapped[1]);
+  return PRIVATE_ADDRESSES.check(address, net.isIPv6(address) ? 'ipv6' : 'ipv4');
+}
+
+// Make sure a webhook URL leads somewhere clients are allowed to send the
+// server. With allowedHosts (a list of host names) only those are; without,
+// every address the host resolves to has to be a public one.
+async function checkWebhookHost(url, allowedHosts) {
+  const host = url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+  if (allowedHosts) {
+    if (!allowedHosts.includes(host)) throw new Error(`webhook host '${host}' is not allowed`);
+    return;
+  }
+  let addresses;
+  try {
+    addresses = await dns.promises.lookup(host, { all: true, verbatim: true });
+  } catch (error) {
+    throw new Error(`webhook host '${host}' does not resolve`);
+  }
+  if (addresses.some(({ address }) => isPrivateAddress(address))) {
+    throw new Error(`webhook host '${host}' is not a public address`);
+  }
+}
+
+// Check a webhook URL given by a client. Throws with a message for bad ones.
+// allowedHosts is as for checkWebhookHost.
+async function parseWebhookUrl(value, allowedHosts) {
+  let url;
+  try {
+    url = new URL(String(value));
+  } catch (error) {
+    throw new Error(`'${value}' is not a URL`);
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new Error('webhook must be an http or https URL');
+  }
+  await checkWebhookHost(url, allowedHosts);
+  return url.toString();
+}
+
+// dns.lookup for webhook connections that refuses private addresses. The
+// socket connects to the address checked here, so a host that resolves to
+// a public address for checkWebhookHost and to a private one a moment
+// later is still turned away.
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, options, (error, address, family) => {
+    if (error) return callback(error);
+    const addresses = Array.isArray(address) ? address : [{ address, family }];
+    if (addresses.some(entry => isPrivateAddress(entry.address))) {
+      return callback(new Error(`webhook host '${hostname}' is not a public address`));
+    }
+    callback(null, address, family);
+  });
+}
+
+// POST body to url and resolve to the response status. Redirects are not
+// followed.
+function postWebhook(url, headers, body, allowedHosts) {
+  const target = new URL(url);
+  const client = target.protocol === 'https:' ? https : http;
+  return new Promise((resolve, reject) => {
+    const request = client.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      ...(allowedHosts ? {} : { lookup: publicLookup }),
+      signal: AbortSignal.timeout(WEBHOOK_TIMEOUT_MS)
+    }, response => {
+      response.resume();
+      resolve(response.statusCode);
+    });
+    request.on('error', reject);
+    request.end(body);
+  });
+}
+
+// POST the finished job to its webhook, retrying with a growing delay.
+// With a secret the body is signed in X-Webhook-Signature as
+// sha256={hex HMAC of the body}. The host is checked again before every
+// attempt, since what it resolves to can change after the job was accepted,
+// and the connection itself only goes to an address that passed the same
+// check. Why a delivery failed is only logged: the result is shown to the
+// client, who must not learn from it what the server can reach.
+async function notifyWebhook(url, payload, secret, allowedHosts) {
+  const body = JSON.stringify(payload);
+  const headers = { 'Content-Type': 'application/json' };
+  if (secret) {
+    headers['X-Webhook-Signature'] = 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+  }
+
+  for (let attempt = 1; attempt <= WEBHOOK_ATTEMPTS; attempt++) {
+    try {
+      await checkWebhookHost(new URL(url), allowedHosts);
+      const status = await postWebhook(url, headers, body, allowedHosts);
+      if (status >= 200 && status < 300) return { delivered: true, attempts: attempt };
+      console.error(`Webhook ${url} answered ${status}`);
+    } catch (error) {
+      console.error(`Error calling webhook ${url}:`, error.message);
+    }
+    if (attempt < WEBHOOK_ATTEMPTS) {
+      await new Promise(resolve => setTimeout(resolve, 1000 * 2 ** (attempt - 1)));
+    }
+  }
+  return { delivered: false, attempts: WEBHOOK_ATTEMPTS, error: 'the webhook could not be delivered' };
+}
+
+// Submit work to run after the response has gone out and follow it through
+// the store. handlers maps a job type to async (input, progress) => result,
+// where progress(pagesProcessed, numPages) records how far it got.
+// webhookHosts, when given, are the only hosts webhooks may call.
+function createJobManager({ store = createMemoryStore(), queue = createLocalQueue(), handlers = {}, webhookSecret, webhookHosts } = {}) {
+  // What clients see of a job
+  const describe = job => {
+    const { webhook, ...visible } = job;
+    return visible;
+  };
+
+  const run = async job => {
+    await store.update(job.id, { status: 'running', startedAt: new Date().toISOString() });
+
+    let finished;
+    try {
+      const result = await handlers[job.type](job.input, (pagesProcessed, numPages) =>
+        store.update(job.id, { progress: { pagesProcessed, numPages } }));
+      await store.saveResult(job.id, result);
+      finished = await store.update(job.id, { status: 'succeeded', finishedAt: new Date().toISOString() });
+    } catch (error) {
+      console.error(`Error running job ${job.id}:`, error);
+      finished = await store.update(job.id, {
+        status: 'failed',
+        error: error.message,
+        finishedAt: new Date().toISOString()
+      });
+    }
+
+    if (job.webhook) {
+      const delivery = await notifyWebhook(job.webhook, describe(finished), webhookSecret, webhookHosts);
+      await store.update(job.id, { webhookDelivery: delivery });
+    }
+  };
+
+  return {
+    // Queue a job of a registered type and return its record. input stays in
+    // memory with the task and is not stored; numPages, when known, is the
+    // number of pages the job will process, and owner the id of the client
+    // it belongs to.
+    async submit(type, input, { webhook, numPages = null, owner } = {}) {
+      if (!handlers[type]) throw new Error(`unknown job type '${type}'`);
+
+      const now = new Date().toISOString();
+      const job = {
+        id: crypto.randomUUID(),
+        type,
+        status: 'queued',
+        progress: { pagesProcessed: 0, numPages },
+        createdAt: now,
+        updatedAt: now
+      };
+      if (webhook) job.webhook = webhook;
+      if (owner) job.owner = owner;
+
+      await store.create(job);
+      queue.enqueue(() => run({ ...job, input }));
+      return describe(job);
+    },
+
+    async get(id) {
+      const job = await store.get(id);
+      return job ? describe(job) : null;
+    },
+
+    getResult(id) {
+      return store.getResult(id);
+    }
+  };
+}
+
+module.exports = {
+  createMemoryStore,
+  createFileStore,
+  createLocalQueue,
+  parseWebhookUrl,
+  createJobManager
+};
@@ -0,0 +1,323 @@
+const { PDFName, PDFString, PDFHexString, PDFNull, PDFNumber } = require('pdf-lib');
+const { PDFDateString } = require('pdfjs-dist/legacy/build/pdf.js');
+const { toHex, parseColor } = require('./colors');
+
+// Info dictionary keys and their names in the JSON 'metadata' section
+const INFO_KEYS = {
+  Title: 'title',
+  Author: 'author',
+  Subject: 'subject',
+  Keywords: 'keywords',
+  Creator: 'creator',
+  Producer: 'producer'
+};
+
+const NAMED_PAGE_ACTIONS = ['FirstPage', 'LastPage', 'NextPage', 'PrevPage'];
+
+// Read the document information dictionary as { title, author, subject,
+// keywords, creator, producer, creationDate, modificationDate }, and the
+// catalog's language
+async function readMetadata(pdf) {
+  const { info = {} } = await pdf.getMetadata().catch(() => ({}));
+  const metadata = {};
+
+  for (const [key, name] of Object.entries(INFO_KEYS)) {
+    if (typeof info[key] === 'string' && info[key].trim()) metadata[name] = info[key];
+  }
+
+  for (const [key, name] of [['CreationDate', 'creationDate'], ['ModDate', 'modificationDate']]) {
+    const date = PDFDateString.toDateObject(info[key]);
+    if (date && !Number.isNaN(date.getTime())) metadata[name] = date.toISOString();
+  }
+  if (typeof info.Language === 'string' && info.Language) metadata.language = info.Language;
+
+  return metadata;
+}
+
+// Resolve a pdf.js destination (a name or an explicit array) into
+// { page, x, y, zoom } with top-left coordinates on the target page.
+// Returns null when it does not lead to a page of this document.
+async function resolveDestination(pdf, dest) {
+  try {
+    const explicit = typeof dest === 'string' ? await pdf.getDestination(dest) : dest;
+    if (!Array.isArray(explicit) || explicit.length === 0) return null;
+
+    const [ref, mode] = explicit;
+    const pageIndex = Number.isInteger(ref) ? ref : await pdf.getPageIndex(ref);
+    if (!(pageIndex >= 0 && pageIndex < pdf.numPages)) return null;
+
+    const destination = { page: pageIndex + 1 };
+    const args = explicit.slice(2);
+    let left = null;
+    let top = null;
+
+    switch (mode && mode.name) {
+      case 'XYZ':
+        [left, top] = args;
+        if (typeof args[2] === 'number' && args[2] > 0) destination.zoom = args[2];
+        break;
+      case 'FitH':
+      case 'FitBH':
+        [top] = args;
+        break;
+      case 'FitV':
+      case 'FitBV':
+        [left] = args;
+        break;
+      case 'FitR':
+        left = args[0];
+        top = args[3];
+        break;
+      default:
+        break;
+    }
+
+    if (typeof left === 'number' || typeof top === 'number') {
+      const page = await pdf.getPage(pageIndex + 1);
+      const viewport = page.getViewport({ scale: 1.0 });
+      const [x, y] = viewport.convertToViewportPoint(
+        typeof left === 'number' ? left : 0,
+        typeof top === 'number' ? top : 0
+      );
+      if (typeof left === 'number') destination.x = Math.round(x * 100) / 100;
+      if (typeof top === 'number') destination.y = Math.round(y * 100) / 100;
+    }
+
+    return destination;
+  } catch (error) {
+    return null;
+  }
+}
+
+function namedActionPage(action, pageNumber, numPages) {
+  switch (action) {
+    case 'FirstPage':
+      return 1;
+    case 'LastPage':
+      return numPages;
+    case 'NextPage':
+      return pageNumber < numPages ? pageNumber + 1 : null;
+    case 'PrevPage':
+      return pageNumber > 1 ? pageNumber - 1 : null;
+    default:
+      return null;
+  }
+}
+
+// Turn link annotations into 'link' elements: { url } for web links and
+// { destination } for jumps inside the document
+async function collectLinks(pdf, annotations, viewport, pageNumber) {
+  const links = [];
+
+  for (const annotation of annotations) {
+    if (annotation.subtype !== 'Link') continue;
+
+    const [x1, y1, x2, y2] = viewport.convertToViewportRectangle(annotation.rect);
+    const link = {
+      type: 'link',
+      x: Math.min(x1, x2),
+      y: Math.min(y1, y2),
+      width: Math.abs(x2 - x1),
+      height: Math.abs(y2 - y1)
+    };
+
+    const url = annotation.url || annotation.unsafeUrl;
+    if (url) {
+      link.url = url;
+    } else if (annotation.dest) {
+      const destination = await resolveDestination(pdf, annotation.dest);
+      if (!destination) continue;
+      link.destination = destination;
+    } else if (NAMED_PAGE_ACTIONS.includes(annotation.action)) {
+      const page = namedActionPage(annotation.action, pageNumber, pdf.numPages);
+      if (!page) continue;
+      link.destination = { page };
+    } else {
+      continue;
+    }
+
+    links.push(link);
+  }
+
+  return links;
+}
+
+// Read the document outline as nested { title, destination | url, bold,
+// italic, color, open, items }
+async function readOutline(pdf) {
+  const outline = await pdf.getOutline().catch(() => null);
+  if (!outline) return [];
+
+  const convert = async items => {
+    const converted = [];
+    for (const item of items) {
+      const entry = { title: item.title };
+      if (item.url || item.unsafeUrl) {
+        entry.url = item.url || item.unsafeUrl;
+      } else if (item.dest) {
+        const destination = await resolveDestination(pdf, item.dest);
+        if (destination) entry.destination = destination;
+      }
+      if (item.bold) entry.bold = true;
+      if (item.italic) entry.italic = true;
+      if (item.color && Array.from(item.color).some(channel => channel !== 0)) {
+        entry.color = toHex(Array.from(item.color));
+      }
+      if (item.count > 0) entry.open = true;
+      if (item.items && item.items.length > 0) entry.items = await convert(item.items);
+      converted.push(entry);
+    }
+    return converted;
+  };
+
+  return convert(outline);
+}
+
+// Write the 'metadata' section into the document information dictionary,
+// and its language into the catalog
+function writeMetadata(pdfDoc, metadata = {}) {
+  if (metadata.title !== undefined) pdfDoc.setTitle(metadata.title, { showInWindowTitleBar: true });
+  if (metadata.author !== undefined) pdfDoc.setAuthor(metadata.author);
+  if (metadata.subject !== undefined) pdfDoc.setSubject(metadata.subject);
+  if (metadata.keywords !== undefined) {
+    pdfDoc.setKeywords(Array.isArray(metadata.keywords) ? metadata.keywords : [metadata.keywords]);
+  }
+  if (metadata.creator !== undefined) pdfDoc.setCreator(metadata.creator);
+  if (metadata.producer !== undefined) pdfDoc.setProducer(metadata.producer);
+  if (metadata.creationDate !== undefined) pdfDoc.setCreationDate(new Date(metadata.creationDate));
+  if (metadata.modificationDate !== undefined) pdfDoc.setModificationDate(new Date(metadata.modificationDate));
+  if (metadata.language !== undefined) pdfDoc.setLanguage(metadata.language);
+}
+
+// Build an explicit destination array for a pdf-lib page. Coordinates are
+// top-left like everywhere else in the document format.
+function destinationArray(pdfDoc, page, destination) {
+  const { x, y, zoom } = destination;
+  if (x === undefined && y === undefined && zoom === undefined) {
+    return pdfDoc.context.obj([page.ref, PDFName.of('Fit')]);
+  }
+  return pdfDoc.context.obj([
+    page.ref,
+    PDFName.of('XYZ'),
+    x !== undefined ? PDFNumber.of(x) : PDFNull,
+    y !== undefined ? PDFNumber.of(page.getHeight() - y) : PDFNull,
+    zoom !== undefined ? PDFNumber.of(zoom) : PDFNull
+  ]);
+}
+
+function uriAction(pdfDoc, url) {
+  return pdfDoc.context.obj({ Type: 'Action', S: 'URI', URI: PDFString.of(url) });
+}
+
+// Add a 'link' element to a page, returning the annotation's ref.
+// findPage(destination) returns the pdf-lib page a destination points at,
+// or null.
+function addLink(pdfDoc, page, element, findPage) {
+  const pageHeight = page.getHeight();
+  const annotation = {
+    Type: 'Annot',
+    Subtype: 'Link',
+    Rect: [
+      element.x,
+      pageHeight - element.y - element.height,
+      element.x + element.width,
+      pageHeight - element.y
+    ],
+    Border: [0, 0, 0]
+  };
+  if (element.alt) annotation.Contents = PDFHexString.fromText(element.alt);
+
+  if (element.url) {
+    annotation.A = uriAction(pdfDoc, element.url);
+  } else {
+    const target = findPage(element.destination);
+    if (!target) throw new Error(`link destination page ${element.destination.page} is not in the document`);
+    annotation.Dest = destinationArray(pdfDoc, target, element.destination);
+  }
+
+  const ref = pdfDoc.context.register(pdfDoc.context.obj(annotation));
+  page.node.addAnnot(ref);
+  return ref;
+}
+
+// Number of entries visible below an outline level
+function visibleCount(items) {
+  return items.reduce((count, item) => count + 1 + (item.open && item.items ? visibleCount(item.items) : 0), 0);
+}
+
+// Write the 'outline' section as the document's bookmarks. Entries whose
+// destination cannot be found stay in the tree without a target and are
+// reported through the returned warnings.
+function writeOutline(pdfDoc, outline, findPage) {
+  const warnings = [];
+  if (!Array.isArray(outline) || outline.length === 0) return warnings;
+
+  const { context } = pdfDoc;
+  const rootRef = context.nextRef();
+
+  const writeLevel = (items, parentRef, path) => {
+    const refs = items.map(() => context.nextRef());
+
+    items.forEach((item, i) => {
+      const dict = {
+        Title: PDFHexString.fromText(item.title),
+        Parent: parentRef
+      };
+      if (i > 0) dict.Prev = refs[i - 1];
+      if (i < items.length - 1) dict.Next = refs[i + 1];
+
+      if (item.url) {
+        dict.A = uriAction(pdfDoc, item.url);
+      } else if (item.destination) {
+        const target = findPage(item.destination);
+        if (target) {
+          dict.Dest = destinationArray(pdfDoc, target, item.destination);
+        } else {
+          warnings.push({
+            path: `${path}/${i}/destination`,
+            message: `outline destination page ${item.destination.page} is not in the document`
+          });
+        }
+      }
+
+      if (item.color) {
+        const { red, green, blue } = parseColor(item.color);
+        dict.C = [red, green, blue];
+      }
+      if (item.italic || item.bold) dict.F = (item.italic ? 1 : 0) | (item.bold ? 2 : 0);
+
+      const children = Array.isArray(item.items) ? item.items : [];
+      if (children.length > 0) {
+        const childRefs = writeLevel(children, refs[i], `${path}/${i}/items`);
+        dict.First = childRefs[0];
+        dict.Last = childRefs[childRefs.length - 1];
+        dict.Count = item.open ? visibleCount(children) : -visibleCount(children);
+      }
+
+      context.assign(refs[i], context.obj(dict));
+    });
+
+    return refs;
+  };
+
+  const topRefs = writeLevel(outline, rootRef, '/outline');
+  context.assign(rootRef, context.obj({
+    Type: 'Outlines',
+    First: topRefs[0],
+    Last: topRefs[topRefs.length - 1],
+    Count: visibleCount(outline)
+  }));
+  pdfDoc.catalog.set(PDFName.of('Outlines'), rootRef);
+  pdfDoc.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+
+  return warnings;
+}
+
+module.exports = {
+  readMetadata,
+  readOutline,
+  collectLinks,
+  writeMetadata,
+  addLink,
+  writeOutline
+};
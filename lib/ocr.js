@@ -0,0 +1,145 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createWorker } = require('tesseract.js');
+
+// Tesseract language data bundled with the API, so OCR never downloads
+// anything at run time
+const LANGUAGES = {
+  eng: '@tesseract.js-data/eng',
+  hin: '@tesseract.js-data/hin',
+  tam: '@tesseract.js-data/tam'
+};
+
+const OCR_DPI = 300;
+
+// Pages with fewer printable characters than this in their text layer and
+// at least this share of their area under images are treated as scans
+const MIN_TEXT_CHARACTERS = 10;
+const MIN_IMAGE_COVERAGE = 0.5;
+
+// Parse an ocrLang value such as 'eng+hin' (an unencoded '+' arrives as a
+// space, so spaces and commas separate languages too). Throws for unknown
+// languages.
+function parseLanguages(spec = 'eng') {
+  const languages = String(spec).split(/[+,\s]+/).map(code => code.trim()).filter(Boolean);
+  const unknown = languages.filter(code => !LANGUAGES[code]);
+  if (languages.length === 0 || unknown.length > 0) {
+    throw new Error(`unsupported OCR language '${unknown[0] || spec}', expected ${Object.keys(LANGUAGES).join(', ')} joined with '+'`);
+  }
+  return [...new Set(languages)];
+}
+
+// tesseract.js reads every language from a single directory, while each
+// language package has its own, so the files are gathered under the system
+// temp directory (the only writable place on Lambda) once per process
+function languageDir(languages) {
+  const dir = path.join(os.tmpdir(), 'pdf-json-tessdata');
+  fs.mkdirSync(dir, { recursive: true });
+
+  for (const code of languages) {
+    const target = path.join(dir, `${code}.traineddata.gz`);
+    if (!fs.existsSync(target)) {
+      const packageDir = path.dirname(require.resolve(`${LANGUAGES[code]}/package.json`));
+      // Copy then rename, so another process never reads a half-written file
+      const partial = `${target}.${process.pid}`;
+      fs.copyFileSync(path.join(packageDir, '4.0.0_best_int', `${code}.traineddata.gz`), partial);
+      fs.renameSync(partial, target);
+    }
+  }
+  return dir;
+}
+
+// Decide whether a page is a scan: next to no text layer and mostly covered
+// by images. elements are the page's extracted elements.
+function looksScanned(elements, width, height) {
+  const characters = elements
+    .filter(element => element.type === 'text')
+    .reduce((count, element) => count + element.text.replace(/\s/g, '').length, 0);
+  if (characters >= MIN_TEXT_CHARACTERS) return false;
+
+  const imageArea = elements
+    .filter(element => element.type === 'image')
+    .reduce((area, element) => {
+      const w = Math.max(0, Math.min(element.x + element.width, width) - Math.max(element.x, 0));
+      const h = Math.max(0, Math.min(element.y + element.height, height) - Math.max(element.y, 0));
+      return area + w * h;
+    }, 0);
+  return imageArea / (width * height) >= MIN_IMAGE_COVERAGE;
+}
+
+// Convert recognized lines into 'text' elements in page points. confidence
+// is tesseract's line confidence scaled to 0-1.
+function linesToElements(blocks, scale) {
+  const elements = [];
+  const round = value => Math.round(value / scale * 100) / 100;
+
+  for (const block of blocks || []) {
+    for (const paragraph of block.paragraphs || []) {
+      for (const line of paragraph.lines || []) {
+        const text = line.text.trim();
+        if (!text) continue;
+
+        const { bbox, baseline, rowAttributes } = line;
+        const baselineY = baseline && Number.isFinite(baseline.y0)
+          ? (baseline.y0 + baseline.y1) / 2
+          : bbox.y1;
+        const rowHeight = rowAttributes && rowAttributes.row_height > 0
+          ? rowAttributes.row_height
+          : bbox.y1 - bbox.y0;
+
+        elements.push({
+          type: 'text',
+          text,
+          x: round(bbox.x0),
+          y: round(baselineY),
+          fontSize: round(rowHeight),
+          width: round(bbox.x1 - bbox.x0),
+          height: round(bbox.y1 - bbox.y0),
+          fontFamily: 'Helvetica',
+          fontWeight: 400,
+          italic: false,
+          color: '#000000',
+          confidence: Math.round(line.confidence) / 100,
+          source: 'ocr'
+        });
+      }
+    }
+  }
+
+  return elements;
+}
+
+// An OCR engine for one request. The tesseract worker is only started when
+// the first page needs it and must be released with terminate().
+function createOcr(languages = ['eng']) {
+  let worker = null;
+
+  return {
+    dpi: OCR_DPI,
+
+    // Recognize a rendered page (an encoded PNG) drawn at scale and return
+    // its text lines as 'text' elements
+    async recognize(image, scale) {
+      if (!worker) {
+        worker = createWorker(languages.join('+'), undefined, {
+          langPath: languageDir(languages),
+          gzip: true,
+          cacheMethod: 'none'
+        });
+      }
+      const { data } = await (await worker).recognize(image, {}, { blocks: true, text: false });
+      return linesToElements(data.blocks, scale);
+    },
+
+    async terminate() {
+      if (worker) {
+        const started = worker;
+        worker = null;
+        await (await started).terminate();
+      }
+    }
+  };
+}
+
+module.exports = { parseLanguages, looksScanned, createOcr };
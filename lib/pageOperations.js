@@ -0,0 +1,113 @@
+const JSZip = require('jszip');
+const { PDFDocument, degrees } = require('pdf-lib');
+const { parsePageRanges } = require('./pageRanges');
+
+// Page operations work on the PDF itself with pdf-lib, so page content,
+// fonts and annotations come through untouched instead of going through the
+// JSON format
+
+// pdf-lib cannot decrypt, so encrypted files are refused with code
+// 'ENCRYPTED' for routes to answer 422
+async function loadPdf(bytes) {
+  const pdfDoc = await PDFDocument.load(bytes, { ignoreEncryption: true, updateMetadata: false });
+  if (pdfDoc.isEncrypted) {
+    throw Object.assign(new Error('the PDF is encrypted'), { code: 'ENCRYPTED' });
+  }
+  return pdfDoc;
+}
+
+// parsePageRanges for a loaded document. Bad selections are marked with
+// code 'INVALID_PAGES' so routes can answer 400 instead of 500.
+function selectPages(pdfDoc, spec, label) {
+  try {
+    return parsePageRanges(spec, pdfDoc.getPageCount());
+  } catch (rangeError) {
+    rangeError.message = label ? `${label}: ${rangeError.message}` : rangeError.message;
+    rangeError.code = 'INVALID_PAGES';
+    throw rangeError;
+  }
+}
+
+// Parse a rotation in degrees. Only quarter turns are valid page rotations.
+function parseAngle(value) {
+  // Number() reads an empty value as 0, which would rotate nothing
+  if (value === undefined || value === null || String(value).trim() === '') {
+    throw new Error('angle is required');
+  }
+  const angle = Number(value);
+  if (!Number.isInteger(angle) || angle % 90 !== 0) {
+    throw new Error('angle must be a multiple of 90');
+  }
+  return angle;
+}
+
+// The operations take documents opened with loadPdf, so that routes can
+// count their pages before the work is done
+
+// Combine documents into one. sources is a list of { pdfDoc, pages } where
+// pages is an optional page selection such as '1-3,7' for that document.
+async function mergeDocuments(sources) {
+  const merged = await PDFDocument.create();
+
+  for (const [index, source] of sources.entries()) {
+    const pageNumbers = selectPages(source.pdfDoc, source.pages, `file ${index + 1}`);
+
+    const copied = await merged.copyPages(source.pdfDoc, pageNumbers.map(pageNumber => pageNumber - 1));
+    copied.forEach(page => merged.addPage(page));
+  }
+
+  return merged;
+}
+
+// Put the pages in the order given by a selection such as '3,1-2'. Pages
+// left out of the selection are dropped.
+async function reorderPages(pdfDoc, order) {
+  const pageNumbers = selectPages(pdfDoc, order);
+  const pages = pdfDoc.getPages();
+
+  for (let i = pages.length - 1; i >= 0; i--) pdfDoc.removePage(i);
+  pageNumbers.forEach((pageNumber, i) => pdfDoc.insertPage(i, pages[pageNumber - 1]));
+
+  return pdfDoc;
+}
+
+// Turn the selected pages (every page by default) by angle degrees,
+// clockwise, on top of the rotation they already have
+async function rotatePages(pdfDoc, angle, selection) {
+  const pages = pdfDoc.getPages();
+
+  for (const pageNumber of selectPages(pdfDoc, selection)) {
+    const page = pages[pageNumber - 1];
+    const rotation = (((page.getRotation().angle + angle) % 360) + 360) % 360;
+    page.setRotation(degrees(rotation));
+  }
+
+  return pdfDoc;
+}
+
+// Split a document into one PDF per range of a selection such as
+// '1-2,3,4-' (every page on its own by default) and zip them up as
+// {name}-{range}.pdf. Returns the zip as a Buffer.
+async function splitDocument(pdfDoc, ranges, name = 'document') {
+  const numPages = pdfDoc.getPageCount();
+  const parts = ranges === undefined || String(ranges).trim() === ''
+    ? Array.from({ length: numPages }, (_, i) => String(i + 1))
+    : String(ranges).split(',').map(part => part.trim()).filter(Boolean);
+
+  const zip = new JSZip();
+  for (const part of parts) {
+    const pageNumbers = selectPages(pdfDoc, part);
+    const output = await PDFDocument.create();
+    const copied = await output.copyPages(pdfDoc, pageNumbers.map(pageNumber => pageNumber - 1));
+    copied.forEach(page => output.addPage(page));
+
+    const first = pageNumbers[0];
+    const last = pageNumbers[pageNumbers.length - 1];
+    const label = first === last ? String(first) : `${first}-${last}`;
+    zip.file(`${name}-${label}.pdf`, await output.save());
+  }
+
+  return zip.generateAsync({ type: 'nodebuffer', compression: 'DEFLATE' });
+}
+
+module.exports = { loadPdf, parseAngle, mergeDocuments, reorderPages, rotatePages, splitDocument };
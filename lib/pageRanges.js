@@ -0,0 +1,40 @@
+// Parse a page selection such as '3-7,10' or '5-' into a list of 1-based
+// page numbers, in the order given. An empty selection means every page.
+function parsePageRanges(spec, numPages) {
+  if (spec === undefined || spec === null || String(spec).trim() === '') {
+    return Array.from({ length: numPages }, (_, i) => i + 1);
+  }
+
+  const pageNumbers = [];
+  const seen = new Set();
+
+  for (const part of String(spec).split(',')) {
+    const range = part.trim();
+    const match = /^(\d*)\s*-\s*(\d*)$/.exec(range) || /^(\d+)$/.exec(range);
+    if (!match || (match[1] === '' && match[2] === '')) {
+      throw new Error(`Cannot parse page range '${range}'`);
+    }
+
+    const isRange = range.includes('-');
+    const first = match[1] === '' ? 1 : parseInt(match[1], 10);
+    const last = !isRange ? first : match[2] === '' ? numPages : parseInt(match[2], 10);
+
+    if (first > last) {
+      throw new Error(`Page range '${range}' is reversed`);
+    }
+    if (first < 1 || last > numPages) {
+      throw new Error(`Page range '${range}' is outside 1-${numPages}`);
+    }
+
+    for (let pageNumber = first; pageNumber <= last; pageNumber++) {
+      if (!seen.has(pageNumber)) {
+        seen.add(pageNumber);
+        pageNumbers.push(pageNumber);
+      }
+    }
+  }
+
+  return pageNumbers;
+}
+
+module.exports = { parsePageRanges };
@@ -0,0 +1,84 @@
+const sharp = require('sharp');
+const { createCanvas } = require('canvas');
+const { AnnotationMode } = require('pdfjs-dist/legacy/build/pdf.js');
+
+// Largest bitmap side we render, to keep memory use bounded on big pages
+const MAX_SIDE = 6000;
+
+// Scale for rendering a page at the given DPI, reduced so that neither
+// side of the bitmap exceeds MAX_SIDE pixels
+function scaleForDpi(page, dpi) {
+  const { width, height } = page.getViewport({ scale: 1.0 });
+  return Math.min(dpi / 72, MAX_SIDE / Math.max(width, height));
+}
+
+// pdf.js draws images, masks and patterns on scratch canvases made with the
+// copy of canvas it depends on itself, and one canvas build cannot draw the
+// other's canvases. Documents are loaded with this factory (as
+// canvasFactory) so that every canvas comes from ours. pdf.js does not
+// export its own factory, so this one has the same create, reset and
+// destroy.
+class CanvasFactory {
+  create(width, height) {
+    if (width <= 0 || height <= 0) throw new Error('Invalid canvas size');
+    const canvas = createCanvas(width, height);
+    return { canvas, context: canvas.getContext('2d') };
+  }
+
+  reset(canvasAndContext, width, height) {
+    if (!canvasAndContext.canvas) throw new Error('Canvas is not specified');
+    if (width <= 0 || height <= 0) throw new Error('Invalid canvas size');
+    canvasAndContext.canvas.width = width;
+    canvasAndContext.canvas.height = height;
+  }
+
+  destroy(canvasAndContext) {
+    if (!canvasAndContext.canvas) throw new Error('Canvas is not specified');
+    canvasAndContext.canvas.width = 0;
+    canvasAndContext.canvas.height = 0;
+    canvasAndContext.canvas = null;
+    canvasAndContext.context = null;
+  }
+}
+
+// Render a pdf.js page onto a node-canvas at the given scale (1 = 72 DPI).
+// Form widgets are left out, as they are extracted as 'field' elements.
+async function renderPage(page, scale, { background = '#ffffff', annotationMode = AnnotationMode.ENABLE_FORMS } = {}) {
+  const viewport = page.getViewport({ scale });
+  const canvas = createCanvas(Math.ceil(viewport.width), Math.ceil(viewport.height));
+  const context = canvas.getContext('2d');
+
+  if (background) {
+    context.fillStyle = background;
+    context.fillRect(0, 0, canvas.width, canvas.height);
+  }
+
+  await page.render({ canvasContext: context, viewport, annotationMode }).promise;
+  return canvas;
+}
+
+const IMAGE_FORMATS = {
+  // PNG stays lossless so previews can be used to check fidelity
+  png: { mime: 'image/png', encode: image => image.png({ compressionLevel: 9, adaptiveFiltering: true }) },
+  jpeg: { mime: 'image/jpeg', encode: (image, quality) => image.jpeg({ quality, mozjpeg: true }) },
+  webp: { mime: 'image/webp', encode: (image, quality) => image.webp({ quality }) }
+};
+
+// Render one page as an encoded image. The size comes from width (pixels)
+// when given, otherwise from dpi. Returns { data, mime, width, height }.
+async function rasterizePage(page, { format = 'png', dpi = 72, width, quality = 80 } = {}) {
+  const { width: pageWidth } = page.getViewport({ scale: 1.0 });
+  const scale = width
+    ? Math.min(width / pageWidth, scaleForDpi(page, Infinity))
+    : scaleForDpi(page, dpi);
+
+  const canvas = await renderPage(page, scale);
+  // node-canvas only writes unoptimized PNG quickly; sharp does the encoding
+  const raw = canvas.toBuffer('image/png', { compressionLevel: 0 });
+  const { mime, encode } = IMAGE_FORMATS[format];
+  const data = await encode(sharp(raw), quality).toBuffer();
+
+  return { data, mime, width: canvas.width, height: canvas.height };
+}
+
+module.exports = { IMAGE_FORMATS, CanvasFactory, scaleForDpi, renderPage, rasterizePage };
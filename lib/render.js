@@ -0,0 +1,424 @@
+const fontkit = require('@pdf-lib/fontkit');
+const {
+  PDFDocument,
+  PDFName,
+  PDFHexString,
+  pushGraphicsState,
+  popGraphicsState,
+  concatTransformationMatrix
+} = require('pdf-lib');
+const { createFontResolver, missingCharacters } = require('./fonts');
+const { drawPath, drawTransformedImage, withElementState, pageFrame, frameBox } = require('./draw');
+const { drawTextElement } = require('./text');
+const { layoutTable, placeCellText } = require('./tables');
+const { encodeBarcode, drawBarcode } = require('./barcodes');
+const { parseColor } = require('./colors');
+const { addField, fillFields, updateFieldAppearances } = require('./fields');
+const { writeMetadata, addLink, writeOutline } = require('./navigation');
+const { headingSizes } = require('./exporters');
+const {
+  CONFORMANCE_LEVELS,
+  TEXT_ROLES,
+  nonconformingError,
+  jpegComponents,
+  createStructure,
+  writeConformance
+} = require('./conformance');
+
+// Shared state for drawing into one output document, so that fonts are
+// embedded once however many elements use them. Problems that do not stop
+// the document from rendering are collected in warnings as { path, message }.
+function createRenderContext(pdfDoc, doc = {}) {
+  pdfDoc.registerFontkit(fontkit);
+  const conformance = CONFORMANCE_LEVELS[doc.conformance] || null;
+  return {
+    pdfDoc,
+    resolveFonts: createFontResolver(pdfDoc, doc.fonts, { embedAll: Boolean(conformance) }),
+    // First 'field' element of every field name, for filling by export value
+    fields: {},
+    // Output pages with the pageNumber they had in the document, and links
+    // waiting for every page to exist
+    pages: [],
+    links: [],
+    // The document's image assets, and images embedded so far keyed by asset
+    // id or src so that each one is embedded once
+    assets: doc.assets || {},
+    images: new Map(),
+    warnings: [],
+    // With a conformance level, the structure tree being tagged, the font
+    // sizes of headings (largest first) and what keeps the document from
+    // conforming, as { path, message }
+    conformance,
+    structure: conformance ? createStructure(pdfDoc) : null,
+    headings: conformance ? headingSizes(doc) : [],
+    violations: []
+  };
+}
+
+function describeCharacter(char) {
+  const code = char.codePointAt(0).toString(16).toUpperCase().padStart(4, '0');
+  return `'${char}' (U+${code})`;
+}
+
+async function embedImage(pdfDoc, src) {
+  const imageBytes = Buffer.from(
+    src.replace(/^data:image\/\w+;base64,/, ''),
+    'base64'
+  );
+
+  if (/^data:image\/jpe?g/.test(src)) {
+    // pdf-lib reads JPEGs through their ArrayBuffer and ignores the offset
+    // of small Buffers sharing Node's pool, so it gets a copy of its own
+    return pdfDoc.embedJpg(new Uint8Array(imageBytes));
+  }
+  return pdfDoc.embedPng(imageBytes);
+}
+
+// The embedded image of an 'image' element, from its 'asset' id or inline src.
+// CMYK JPEGs are refused for PDF/A with code 'NONCONFORMING', as its output
+// intent is sRGB.
+async function imageFor(context, element) {
+  const key = element.asset ? `asset:${element.asset}` : element.src;
+  if (!context.images.has(key)) {
+    let src = element.src;
+    if (element.asset) {
+      const asset = context.assets[element.asset];
+      if (!asset) throw new Error(`no asset with id '${element.asset}'`);
+      src = asset.src;
+    }
+    const { conformance } = context;
+    if (conformance && conformance.pdfa && /^data:image\/jpe?g/.test(src)
+      && jpegComponents(Buffer.from(src.replace(/^data:image\/\w+;base64,/, ''), 'base64')) === 4) {
+      throw Object.assign(new Error(`${conformance.name} cannot hold CMYK JPEG images`), { code: 'NONCONFORMING' });
+    }
+    context.images.set(key, embedImage(context.pdfDoc, src));
+  }
+  return context.images.get(key);
+}
+
+// Font chain for a text element, warning at path about characters no font
+// can render. Documents with a conformance level cannot have them at all.
+async function fontsFor(context, element, path) {
+  const chain = await context.resolveFonts(element);
+  const missing = missingCharacters(element.text, chain);
+  if (missing.length > 0) {
+    const problem = { path, message: `no font can render ${missing.map(describeCharacter).join(', ')}` };
+    context.warnings.push({ ...problem, characters: missing });
+    if (context.conformance) context.violations.push(problem);
+  }
+  return chain;
+}
+
+// Where an element goes in the reading order of the structure tree
+const readingOrder = (context, index) => [context.pages.length, index];
+
+// Draw an element, tagged with a conformance level as a structure element
+// of role ('Artifact' for decoration), with alt as its alternate text
+function drawTagged(context, page, index, role, draw, alt) {
+  const { structure } = context;
+  if (!structure) {
+    draw();
+  } else if (role === 'Artifact') {
+    structure.artifact(page, draw);
+  } else {
+    structure.add(readingOrder(context, index), structure.node(role, [structure.mark(page, role, draw)], alt));
+  }
+}
+
+// Structure type of a text element: its 'role', or a heading level when it
+// has one of the heading sizes, or else a paragraph
+function textRole(context, element) {
+  if (element.role === 'artifact') return 'Artifact';
+  if (element.role) return TEXT_ROLES[element.role];
+  const level = element.fontSize ? context.headings.indexOf(Math.round(element.fontSize * 2) / 2) : -1;
+  return level >= 0 ? `H${level + 1}` : 'P';
+}
+
+// Draw a 'table' element: cell backgrounds, then borders, then the text of
+// every cell fitted inside its padding. Tagged, the table is returned as a
+// structure node of rows whose first headerRows are header cells.
+async function drawTable(page, element, context, path, pageHeight) {
+  const { boxes, problems, padding } = layoutTable(element);
+  for (const problem of problems) {
+    context.warnings.push({ path: `${path}/cells/${problem.index}`, message: problem.message });
+  }
+
+  const texts = [];
+  for (const box of boxes) {
+    if (!box.text) continue;
+    const textPath = Array.isArray(element.cells) ? `${path}/cells/${box.index}/text` : `${path}/data`;
+    const chain = await fontsFor(context, box.text, textPath);
+    texts.push({ box, chain, text: placeCellText(box, chain, element, padding) });
+  }
+
+  const borderWidth = element.borderWidth !== undefined ? element.borderWidth : 1;
+  const borderColor = parseColor(element.borderColor || '#000000');
+
+  const { structure } = context;
+  const headerRows = element.headerRows || 0;
+  const contents = new Map();
+
+  withElementState(page, element, pageHeight, () => {
+    const drawBoxes = () => {
+      for (const box of boxes) {
+        const background = box.cell.backgroundColor || element.backgroundColor;
+        if (!background && borderWidth <= 0) continue;
+        page.drawRectangle({
+          x: box.x,
+          y: pageHeight - box.y - box.height,
+          width: box.width,
+          height: box.height,
+          color: background ? parseColor(background) : undefined,
+          borderColor: borderWidth > 0 ? borderColor : undefined,
+          borderWidth
+        });
+      }
+    };
+    if (structure) structure.artifact(page, drawBoxes);
+    else drawBoxes();
+
+    for (const { box, chain, text } of texts) {
+      const draw = () => drawTextElement(page, text, chain, pageHeight);
+      if (structure) contents.set(box, structure.mark(page, box.cell.row < headerRows ? 'TH' : 'TD', draw));
+      else draw();
+    }
+  });
+
+  if (!structure) return null;
+  const rows = [];
+  for (const box of [...boxes].sort((a, b) => a.cell.row - b.cell.row || a.cell.column - b.cell.column)) {
+    if (!rows[box.cell.row]) rows[box.cell.row] = [];
+    const content = contents.get(box);
+    rows[box.cell.row].push(structure.node(box.cell.row < headerRows ? 'TH' : 'TD', content ? [content] : []));
+  }
+  return structure.node('Table', rows.filter(Boolean).map(cells => structure.node('TR', cells)));
+}
+
+// Draw document elements onto a pdf-lib page. Element coordinates are
+// top-left page coordinates. path is the JSON pointer of the element list,
+// used in warnings. frame (from pageFrame) places the elements on an
+// existing page whose crop box is moved or which is rotated.
+async function drawElements(page, elements, context, path = '', frame = null) {
+  const pageHeight = frame ? frame.height : page.getHeight();
+  const annotationBox = element => (frame ? frameBox(frame, page, element) : element);
+  if (frame) {
+    page.pushOperators(pushGraphicsState(), concatTransformationMatrix(...frame.matrix));
+  }
+
+  // Graphics keep their relative order and text is drawn on top of them
+  const sortedElements = elements
+    .map((element, index) => ({ element, index }))
+    .sort((a, b) => {
+      if (a.element.type !== 'text' && b.element.type === 'text') return -1;
+      if (a.element.type === 'text' && b.element.type !== 'text') return 1;
+      return 0;
+    });
+
+  for (const { element, index } of sortedElements) {
+    if (element.type === 'text') {
+      const chain = await fontsFor(context, element, `${path}/${index}/text`);
+      drawTagged(context, page, index, textRole(context, element), () => {
+        withElementState(page, element, pageHeight, () => drawTextElement(page, element, chain, pageHeight));
+      });
+    } else if (element.type === 'field') {
+      try {
+        // Tagged documents embed every font, so widgets cannot start out
+        // with pdf-lib's Helvetica
+        const font = context.conformance
+          ? (await context.resolveFonts({ text: element.label || '' }))[0].pdfFont
+          : undefined;
+        const annotations = page.node.Annots() ? page.node.Annots().asArray() : [];
+        addField(page, annotationBox(element), context.pdfDoc.getForm(), page.getHeight(), font);
+        if (!context.fields[element.name]) context.fields[element.name] = element;
+
+        if (context.structure) {
+          const widgets = page.node.Annots().asArray().filter(ref => !annotations.includes(ref));
+          context.structure.add(readingOrder(context, index), context.structure.node(
+            'Form',
+            widgets.map(annotation => ({ page, annotation }))
+          ));
+        }
+      } catch (fieldError) {
+        context.warnings.push({ path: `${path}/${index}`, message: fieldError.message });
+      }
+    } else if (element.type === 'link') {
+      context.links.push({
+        page,
+        element: annotationBox(element),
+        path: `${path}/${index}`,
+        order: readingOrder(context, index)
+      });
+    } else if (element.type === 'table') {
+      const table = await drawTable(page, element, context, `${path}/${index}`, pageHeight);
+      if (table) context.structure.add(readingOrder(context, index), table);
+    } else if (element.type === 'qrcode' || element.type === 'barcode') {
+      let code;
+      try {
+        code = encodeBarcode(element);
+      } catch (barcodeError) {
+        context.warnings.push({ path: `${path}/${index}/value`, message: barcodeError.message });
+        continue;
+      }
+      // Tagged codes are figures described by the value they hold
+      const alt = element.alt !== undefined ? element.alt : String(element.value);
+      drawTagged(context, page, index, alt === '' ? 'Artifact' : 'Figure', () => {
+        withElementState(page, element, pageHeight, () => drawBarcode(page, element, code, pageHeight));
+      }, alt);
+    } else if (element.type === 'path' && element.d) {
+      drawTagged(context, page, index, element.alt ? 'Figure' : 'Artifact', () => {
+        withElementState(page, element, pageHeight, () => drawPath(page, element, pageHeight));
+      }, element.alt);
+    } else if (element.type === 'image' && (element.src || element.asset)) {
+      try {
+        const image = await imageFor(context, element);
+
+        drawTagged(context, page, index, element.alt === '' ? 'Artifact' : 'Figure', () => withElementState(page, element, pageHeight, () => {
+          if (Array.isArray(element.transform) && element.transform.length === 6) {
+            drawTransformedImage(page, image, element.transform, pageHeight);
+          } else {
+            page.drawImage(image, {
+              x: element.x,
+              y: pageHeight - element.y - element.height,
+              width: element.width,
+              height: element.height
+            });
+          }
+        }), element.alt);
+      } catch (imgError) {
+        const imagePath = `${path}/${index}/${element.asset ? 'asset' : 'src'}`;
+        if (imgError.code === 'NONCONFORMING') {
+          context.violations.push({ path: imagePath, message: imgError.message });
+          continue;
+        }
+        // pdf-lib's PNG decoder throws plain strings
+        context.warnings.push({ path: imagePath, message: imgError.message || String(imgError) });
+      }
+    }
+  }
+
+  if (frame) page.pushOperators(popGraphicsState());
+}
+
+// Fill form fields from { values, flatten } once every page is drawn, and
+// build field appearances with fonts that can show the values
+async function finishForm(context, options = {}) {
+  const { pdfDoc } = context;
+  if (Object.keys(context.fields).length === 0 && !options.values) return;
+
+  const form = pdfDoc.getForm();
+  if (options.values) {
+    context.warnings.push(...fillFields(form, options.values, context.fields));
+  }
+  await updateFieldAppearances(form, context.resolveFonts);
+
+  if (options.flatten) {
+    form.flatten({ updateFieldAppearances: false });
+  }
+}
+
+// The output page a { page } destination points at. Pages carrying a
+// pageNumber (as extracted ones do) are matched on it, others by position.
+function findPage(context, destination) {
+  if (!destination) return null;
+  const numbered = context.pages.find(entry => entry.pageNumber === destination.page);
+  if (numbered) return numbered.page;
+  const entry = context.pages[destination.page - 1];
+  return entry && entry.pageNumber === undefined ? entry.page : null;
+}
+
+// Write links, outline and metadata once every page exists
+function finishNavigation(context, doc) {
+  const find = destination => findPage(context, destination);
+
+  for (const { page, element, path, order } of context.links) {
+    try {
+      const annotation = addLink(context.pdfDoc, page, element, find);
+      if (context.structure) {
+        // Tagged links need a description of where they lead
+        if (!element.alt) {
+          const description = element.url || `Link to page ${element.destination.page}`;
+          context.pdfDoc.context.lookup(annotation).set(PDFName.of('Contents'), PDFHexString.fromText(description));
+        }
+        context.structure.add(order, context.structure.node('Link', [{ page, annotation }]));
+      }
+    } catch (linkError) {
+      context.warnings.push({ path, message: linkError.message });
+    }
+  }
+  context.links = [];
+
+  context.warnings.push(...writeOutline(context.pdfDoc, doc.outline, find));
+  writeMetadata(context.pdfDoc, doc.metadata);
+}
+
+// Build a new PDF from a validated { pages: [...] } document. Returns the
+// pdf-lib document, not saved yet, and the warnings met while drawing it.
+// Problems with the conformance level that only show while drawing (such as
+// characters without a glyph) throw with code 'NONCONFORMING' and the
+// reasons as violations.
+async function renderDocument(doc) {
+  const pdfDoc = await PDFDocument.create();
+  const context = createRenderContext(pdfDoc, doc);
+
+  for (const [pageIndex, pageData] of doc.pages.entries()) {
+    const page = pdfDoc.addPage([pageData.width, pageData.height]);
+    context.pages.push({ page, pageNumber: pageData.pageNumber });
+    await drawElements(page, pageData.elements, context, `/pages/${pageIndex}/elements`);
+  }
+
+  await finishForm(context, doc.form);
+  finishNavigation(context, doc);
+
+  if (context.conformance) {
+    if (context.violations.length > 0) throw nonconformingError(doc, context.violations);
+    context.structure.finish();
+    writeConformance(pdfDoc, doc);
+  }
+
+  return { pdfDoc, warnings: context.warnings };
+}
+
+// Page indexes (0-based) an overlay's pages key stands for: '*' is every
+// page. Keys past the end of the document are marked with code
+// 'INVALID_PAGES'.
+function overlayPageIndexes(key, numPages) {
+  if (key === '*') return Array.from({ length: numPages }, (_, i) => i);
+  const index = Number(key);
+  if (!Number.isInteger(index) || index < 0 || index >= numPages) {
+    throw Object.assign(new Error(`page index ${key} is outside 0-${numPages - 1}`), { code: 'INVALID_PAGES' });
+  }
+  return [index];
+}
+
+// Draw an overlay onto an existing PDF (opened with loadPdf), leaving its
+// pages as they are underneath. overlay.pages maps page indexes (0-based, or
+// '*' for every page) to element lists drawn exactly like /jsonToPdf draws
+// them, in the frame /pdfToJson reports for that page. fonts, assets, form,
+// outline and metadata work as in a document.
+async function overlayDocument(pdfDoc, overlay) {
+  const context = createRenderContext(pdfDoc, overlay);
+  const pages = pdfDoc.getPages();
+
+  context.pages = pages.map((page, i) => ({ page, pageNumber: i + 1 }));
+
+  for (const [key, elements] of Object.entries(overlay.pages)) {
+    for (const pageIndex of overlayPageIndexes(key, pages.length)) {
+      const page = pages[pageIndex];
+      await drawElements(page, elements, context, `/pages/${key}`, pageFrame(page));
+    }
+  }
+
+  await finishForm(context, overlay.form);
+  finishNavigation(context, overlay);
+
+  return { pdfDoc, warnings: context.warnings };
+}
+
+module.exports = {
+  createRenderContext,
+  drawElements,
+  finishForm,
+  finishNavigation,
+  renderDocument,
+  overlayDocument
+};
@@ -0,0 +1,106 @@
+const Ajv = require('ajv');
+const documentSchema = require('../schema/document.v1.json');
+const { checkConformance } = require('./conformance');
+
+// Version written by /pdfToJson. Documents without a version predate the
+// field and are read as version 1.
+const FORMAT_VERSION = 1;
+
+const ajv = new Ajv({ allErrors: true, discriminator: true, strict: false });
+const validateSchema = ajv.compile(documentSchema);
+
+// An overlay is a document whose pages are element lists keyed by the
+// (0-based) index of the page they go on, or '*' for every page
+const overlaySchema = {
+  ...documentSchema,
+  title: 'PDF-JSON overlay',
+  description: 'Elements drawn on top of the pages of an existing PDF, keyed by 0-based page index or * for every page',
+  properties: {
+    ...documentSchema.properties,
+    pages: {
+      type: 'object',
+      minProperties: 1,
+      propertyNames: { pattern: '^(\\*|0|[1-9][0-9]*)$' },
+      additionalProperties: {
+        type: 'array',
+        items: { $ref: '#/definitions/element' }
+      }
+    }
+  }
+};
+const validateOverlaySchema = ajv.compile(overlaySchema);
+
+// Describe one Ajv error as { path, message } where path is a JSON pointer to
+// the offending value (for missing properties, to where it should have been)
+function toViolation(error) {
+  if (error.keyword === 'required') {
+    return {
+      path: `${error.instancePath}/${error.params.missingProperty}`,
+      message: 'is required'
+    };
+  }
+
+  if (error.keyword === 'discriminator') {
+    return {
+      path: `${error.instancePath}/${error.params.tag}`,
+      message: error.params.error === 'mapping'
+        ? `unknown element type '${error.params.tagValue}'`
+        : error.message
+    };
+  }
+
+  // Errors about a property name itself, such as an overlay page key
+  if (error.propertyName !== undefined) {
+    return { path: `${error.instancePath}/${error.propertyName}`, message: `name ${error.message}` };
+  }
+
+  let message = error.message;
+  if (error.keyword === 'enum') {
+    message = `must be one of ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+  }
+
+  return { path: error.instancePath || '/', message };
+}
+
+// Check a document against the published schema, and a valid one against
+// its conformance level. Returns every violation found, or an empty array
+// for a valid document.
+function validateDocument(doc) {
+  const violations = validateWith(validateSchema, doc);
+  if (violations.length > 0 || !doc.conformance) return violations;
+  return checkConformance(doc);
+}
+
+// Check an overlay for /overlay the same way. The PDF it goes on is kept as
+// it is, so it cannot be made to conform.
+function validateOverlay(overlay) {
+  const violations = validateWith(validateOverlaySchema, overlay);
+  if (violations.length > 0 || !overlay.conformance) return violations;
+  return [{ path: '/conformance', message: 'overlays cannot convert the PDF they are drawn on' }];
+}
+
+function validateWith(validate, doc) {
+  if (doc && typeof doc === 'object' && Number.isInteger(doc.version) && doc.version > FORMAT_VERSION) {
+    return [{
+      path: '/version',
+      message: `unsupported version ${doc.version}, this server reads up to version ${FORMAT_VERSION}`
+    }];
+  }
+
+  if (validate(doc)) {
+    return [];
+  }
+
+  const seen = new Set();
+  return validate.errors
+    .filter(error => error.keyword !== 'if' && error.keyword !== 'propertyNames')
+    .map(toViolation)
+    .filter(violation => {
+      const key = `${violation.path} ${violation.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+}
+
+module.exports = { FORMAT_VERSION, documentSchema, validateDocument, validateOverlay };
@@ -0,0 +1,399 @@
+const crypto = require('crypto');
+const forge = require('node-forge');
+const {
+  PDFDocument,
+  PDFName,
+  PDFNumber,
+  PDFArray,
+  PDFDict,
+  PDFRef,
+  PDFString,
+  PDFHexString,
+  PDFSignature,
+  StandardFonts
+} = require('pdf-lib');
+const { addSignatureField, signatureAppearance } = require('./fields');
+const { createFontResolver } = require('./fonts');
+
+const { asn1, pki } = forge;
+
+// Digital signatures: documents are signed with a detached PKCS#7/CMS
+// signature (adbe.pkcs7.detached) from a PKCS#12 certificate, and the
+// signatures of uploaded PDFs are checked against the bytes they cover.
+
+// Bytes kept free for the CMS signature in /Contents; enough for a 4096-bit
+// key with a few chain certificates
+const SIGNATURE_SIZE = 16384;
+// Stands in for the /ByteRange numbers until the file length is known
+const BYTE_RANGE_PLACEHOLDER = 9999999999;
+
+// SubFilters whose /Contents is a detached CMS signature over the byte range
+const DETACHED_SUB_FILTERS = ['adbe.pkcs7.detached', 'ETSI.CAdES.detached'];
+const RSASSA_PSS = '1.2.840.113549.1.1.10';
+
+const toBuffer = node => Buffer.from(asn1.toDer(node).getBytes(), 'binary');
+
+// The signing key and certificate chain of a PKCS#12 (.p12/.pfx) file.
+// Throws with a message for a wrong passphrase or a file without an RSA key
+// and its certificate.
+function loadSigner(p12Bytes, passphrase = '') {
+  let p12;
+  try {
+    const der = forge.util.createBuffer(Buffer.from(p12Bytes).toString('binary'));
+    p12 = forge.pkcs12.pkcs12FromAsn1(asn1.fromDer(der), passphrase);
+  } catch (p12Error) {
+    throw new Error(`cannot read the PKCS#12 file: ${p12Error.message}`);
+  }
+
+  const bagsOf = bagType => p12.getBags({ bagType })[bagType] || [];
+  const keyBag = [...bagsOf(pki.oids.pkcs8ShroudedKeyBag), ...bagsOf(pki.oids.keyBag)].find(bag => bag.key);
+  if (!keyBag) throw new Error('the PKCS#12 file holds no RSA private key');
+  const { key } = keyBag;
+
+  const chain = bagsOf(pki.oids.certBag).map(bag => bag.cert).filter(Boolean);
+  const certificate = chain.find(cert => cert.publicKey.n && cert.publicKey.n.equals(key.n));
+  if (!certificate) throw new Error('the PKCS#12 file holds no certificate for its private key');
+
+  const commonName = certificate.subject.getField('CN');
+  const name = commonName ? commonName.value : certificate.subject.attributes.map(attribute => attribute.value).join(', ');
+  return { key, certificate, chain, name };
+}
+
+// Detached CMS SignedData over content, with the signing time as a signed
+// attribute. There is no timestamp from a timestamping authority, so the
+// time is the signer's own claim.
+function createCms(content, signer, signedAt) {
+  const p7 = forge.pkcs7.createSignedData();
+  p7.content = forge.util.createBuffer(content.toString('binary'));
+  for (const cert of signer.chain) p7.addCertificate(cert);
+  p7.addSigner({
+    key: signer.key,
+    certificate: signer.certificate,
+    digestAlgorithm: pki.oids.sha256,
+    authenticatedAttributes: [
+      { type: pki.oids.contentType, value: pki.oids.data },
+      { type: pki.oids.messageDigest },
+      { type: pki.oids.signingTime, value: signedAt }
+    ]
+  });
+  p7.sign({ detached: true });
+  return toBuffer(p7.toAsn1());
+}
+
+// Lines shown in a visible signature, in the characters the font can draw
+function appearanceLines(font, signer, options, signedAt) {
+  const supported = new Set(font.getCharacterSet());
+  const drawable = text => Array.from(text, char => (supported.has(char.codePointAt(0)) ? char : '?')).join('');
+  return [
+    `Digitally signed by ${signer.name}`,
+    `Date: ${signedAt.toISOString().slice(0, 19).replace('T', ' ')} UTC`,
+    options.reason && `Reason: ${options.reason}`,
+    options.location && `Location: ${options.location}`
+  ].filter(Boolean).map(drawable);
+}
+
+// The unsigned signature field to sign into: the one named by options.field
+// or else the first. Without one, an invisible field is added to the first
+// page.
+function signatureField(pdfDoc, options, warnings) {
+  const form = pdfDoc.getForm();
+  const unsigned = form.getFields().filter(field => field instanceof PDFSignature && !field.acroField.dict.has(PDFName.of('V')));
+
+  if (options.field) {
+    const named = unsigned.find(field => field.getName() === options.field);
+    if (named) return named;
+    warnings.push({ path: '/signature/field', message: `no unsigned signature field named '${options.field}', signing invisibly` });
+  } else if (unsigned.length > 0) {
+    return unsigned[0];
+  }
+
+  let name = 'Signature1';
+  for (let n = 2; form.getFieldMaybe(name); n++) name = `Signature${n}`;
+  if (pdfDoc.getPageCount() === 0) pdfDoc.addPage();
+  addSignatureField(pdfDoc.getPage(0), { name }, form, { x: 0, y: 0, width: 0, height: 0 });
+  return form.getField(name);
+}
+
+// Add the signature dictionary for signing with signer, as options ({ field,
+// reason, location, contactInfo }) asks, and draw it into a visible field,
+// with an embedded font when embedFonts is set. Returns the warnings met and
+// sign(bytes), which fills in the signature once the document is saved
+// without object streams.
+async function addSignature(pdfDoc, options, signer, { embedFonts = false } = {}) {
+  const { context } = pdfDoc;
+  const warnings = [];
+  const signedAt = new Date();
+
+  const field = signatureField(pdfDoc, options, warnings);
+  const placeholder = PDFNumber.of(BYTE_RANGE_PLACEHOLDER);
+  const signature = context.obj({
+    Type: 'Sig',
+    Filter: 'Adobe.PPKLite',
+    SubFilter: DETACHED_SUB_FILTERS[0],
+    ByteRange: [PDFNumber.of(0), placeholder, placeholder, placeholder],
+    Contents: PDFHexString.of('0'.repeat(SIGNATURE_SIZE * 2)),
+    M: PDFString.fromDate(signedAt),
+    Name: PDFHexString.fromText(signer.name)
+  });
+  for (const key of ['reason', 'location', 'contactInfo']) {
+    if (options[key]) signature.set(PDFName.of(key[0].toUpperCase() + key.slice(1)), PDFHexString.fromText(options[key]));
+  }
+  field.acroField.dict.set(PDFName.of('V'), context.register(signature));
+  pdfDoc.getForm().acroForm.dict.set(PDFName.of('SigFlags'), PDFNumber.of(3));
+
+  const [widget] = field.acroField.getWidgets();
+  const { width, height } = widget.getRectangle();
+  if (width > 0 && height > 0) {
+    const font = embedFonts
+      ? (await createFontResolver(pdfDoc, {}, { embedAll: true })({}))[0].pdfFont
+      : await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const lines = appearanceLines(font, signer, options, signedAt);
+    widget.setNormalAppearance(context.register(signatureAppearance(context, widget, lines, font)));
+  }
+
+  return { warnings, sign: bytes => fillSignature(bytes, signer, signedAt) };
+}
+
+// Write the real /ByteRange into a saved document and sign everything but
+// the /Contents placeholder
+function fillSignature(bytes, signer, signedAt) {
+  const pdf = Buffer.from(bytes);
+  const text = pdf.toString('latin1');
+
+  const rangeText = `[ 0 ${Array(3).fill(BYTE_RANGE_PLACEHOLDER).join(' ')} ]`;
+  const rangeAt = text.indexOf(rangeText);
+  const contentsAt = text.indexOf(`<${'0'.repeat(SIGNATURE_SIZE * 2)}>`);
+  if (rangeAt < 0 || contentsAt < 0) throw new Error('the signature placeholder is missing from the saved PDF');
+  const contentsEnd = contentsAt + SIGNATURE_SIZE * 2 + 2;
+
+  const byteRange = [0, contentsAt, contentsEnd, pdf.length - contentsEnd];
+  pdf.write(`[${byteRange.join(' ')}]`.padEnd(rangeText.length, ' '), rangeAt, 'latin1');
+
+  const cms = createCms(Buffer.concat([pdf.subarray(0, contentsAt), pdf.subarray(contentsEnd)]), signer, signedAt);
+  if (cms.length > SIGNATURE_SIZE) {
+    throw new Error(`the signature takes ${cms.length} bytes, more than the ${SIGNATURE_SIZE} kept for it`);
+  }
+  pdf.write(cms.toString('hex'), contentsAt + 1, 'latin1');
+  return pdf;
+}
+
+// Pick apart a CMS SignedData into what checking its first signer needs
+function parseSignedData(der) {
+  const contentInfo = asn1.fromDer(forge.util.createBuffer(der.toString('binary')), {
+    parseAllBytes: false,
+    decodeBitStrings: false
+  });
+  if (asn1.derToOid(contentInfo.value[0].value) !== pki.oids.signedData) {
+    throw new Error('the signature is not CMS signed data');
+  }
+
+  const isTagged = (node, tag) => node && node.tagClass === asn1.Class.CONTEXT_SPECIFIC && node.type === tag;
+  const signedData = contentInfo.value[1].value[0].value;
+  const certificateSet = signedData.find(node => isTagged(node, 0));
+  const signerInfo = signedData[signedData.length - 1].value[0];
+  if (!signerInfo) throw new Error('the signature has no signer');
+
+  const [, signerId, digestAlgorithm, ...rest] = signerInfo.value;
+  const signedAttributes = isTagged(rest[0], 0) ? rest.shift() : null;
+  const [signatureAlgorithm, signature] = rest;
+
+  return {
+    certificates: certificateSet ? certificateSet.value.map(node => new crypto.X509Certificate(toBuffer(node))) : [],
+    serialNumber: signerId.type === asn1.Type.SEQUENCE ? forge.util.bytesToHex(signerId.value[1].value) : null,
+    digestAlgorithm: pki.oids[asn1.derToOid(digestAlgorithm.value[0].value)],
+    signatureAlgorithm: asn1.derToOid(signatureAlgorithm.value[0].value),
+    signedAttributes,
+    signature: Buffer.from(signature.value, 'binary')
+  };
+}
+
+const normalizeSerial = serial => serial.toUpperCase().replace(/^0+(?=.)/, '');
+
+function describeCertificate(cert) {
+  const subject = cert.subject.split('\n');
+  const commonName = subject.find(part => part.startsWith('CN='));
+  return {
+    name: commonName ? commonName.slice(3) : subject.join(', '),
+    subject: subject.join(', '),
+    issuer: cert.issuer.split('\n').join(', '),
+    serialNumber: cert.serialNumber,
+    validFrom: new Date(cert.validFrom).toISOString(),
+    validTo: new Date(cert.validTo).toISOString(),
+    selfSigned: cert.checkIssued(cert) && cert.verify(cert.publicKey)
+  };
+}
+
+// Check one signature against the file: that the gap between the signed
+// bytes holds nothing but its /Contents (the hex digits in contents), that
+// the signed bytes hash to the signed digest and the digest is signed by the
+// certificate's key. Whether the certificate is to be trusted is left to
+// the caller.
+function checkSignature(pdf, byteRange, subFilter, contents) {
+  const result = { signer: null, signingTime: null, intact: false, problems: [] };
+
+  const [start, firstLength, secondStart, secondLength] = byteRange;
+  if (
+    byteRange.length !== 4 || !byteRange.every(Number.isInteger) || start !== 0 ||
+    firstLength >= secondStart || secondStart + secondLength > pdf.length
+  ) {
+    result.problems.push('the byte range does not fit this file');
+    return result;
+  }
+  if (!DETACHED_SUB_FILTERS.includes(subFilter)) {
+    result.problems.push(`signatures of type ${subFilter} are not checked`);
+    return result;
+  }
+
+  // Anything else left out of the byte range could be changed without
+  // breaking the signature
+  const gap = pdf.toString('latin1', firstLength + 1, secondStart - 1);
+  if (
+    pdf[firstLength] !== 0x3c || pdf[secondStart - 1] !== 0x3e || !/^(?:[0-9a-fA-F]{2})+$/.test(gap) ||
+    contents === null || gap.toLowerCase() !== contents.toLowerCase()
+  ) {
+    result.problems.push('the bytes left out of the byte range are not just the signature');
+    return result;
+  }
+
+  let cms;
+  try {
+    cms = parseSignedData(Buffer.from(gap, 'hex'));
+  } catch (cmsError) {
+    result.problems.push(`cannot read the signature: ${cmsError.message}`);
+    return result;
+  }
+
+  const cert = cms.certificates.find(candidate => cms.serialNumber && normalizeSerial(candidate.serialNumber) === normalizeSerial(cms.serialNumber)) ||
+    cms.certificates[0];
+  if (!cert) {
+    result.problems.push('the signature carries no certificate');
+    return result;
+  }
+  result.signer = describeCertificate(cert);
+  if (!cms.digestAlgorithm) {
+    result.problems.push('the signature uses an unknown digest algorithm');
+    return result;
+  }
+
+  const signed = Buffer.concat([pdf.subarray(0, firstLength), pdf.subarray(secondStart, secondStart + secondLength)]);
+  const digest = crypto.createHash(cms.digestAlgorithm).update(signed).digest();
+  const key = cms.signatureAlgorithm === RSASSA_PSS
+    ? { key: cert.publicKey, padding: crypto.constants.RSA_PKCS1_PSS_PADDING, saltLength: crypto.constants.RSA_PSS_SALTLEN_AUTO }
+    : cert.publicKey;
+
+  let digestMatches = true;
+  let signedData = signed;
+  if (cms.signedAttributes) {
+    const attributes = new Map(cms.signedAttributes.value.map(attribute => [
+      asn1.derToOid(attribute.value[0].value),
+      attribute.value[1].value[0]
+    ]));
+    const messageDigest = attributes.get(pki.oids.messageDigest);
+    digestMatches = Boolean(messageDigest) && Buffer.from(messageDigest.value, 'binary').equals(digest);
+
+    const signingTime = attributes.get(pki.oids.signingTime);
+    if (signingTime) {
+      result.signingTime = (signingTime.type === asn1.Type.UTCTIME
+        ? asn1.utcTimeToDate(signingTime.value)
+        : asn1.generalizedTimeToDate(signingTime.value)).toISOString();
+    }
+    // The signature covers the signed attributes, encoded as a SET
+    signedData = toBuffer(asn1.create(asn1.Class.UNIVERSAL, asn1.Type.SET, true, cms.signedAttributes.value));
+  }
+
+  let signatureMatches = false;
+  try {
+    signatureMatches = crypto.verify(cms.digestAlgorithm, signedData, key, cms.signature);
+  } catch (verifyError) {
+    result.problems.push(`cannot check the signature: ${verifyError.message}`);
+  }
+
+  if (!digestMatches) result.problems.push('the signed bytes were changed after signing');
+  if (!signatureMatches) result.problems.push('the signature does not match the certificate');
+  result.intact = digestMatches && signatureMatches;
+
+  if (result.signingTime && (result.signingTime < result.signer.validFrom || result.signingTime > result.signer.validTo)) {
+    result.problems.push('the certificate was not valid at the signing time');
+  }
+  return result;
+}
+
+// Fully qualified name of a form field, from its /T and its parents'
+function fieldName(dict) {
+  const parts = [];
+  for (let node = dict; node; node = node.lookupMaybe(PDFName.of('Parent'), PDFDict)) {
+    const partial = node.lookupMaybe(PDFName.of('T'), PDFString, PDFHexString);
+    if (partial) parts.unshift(partial.decodeText());
+  }
+  return parts.join('.') || null;
+}
+
+// Report every signature in a PDF: its field, signer, signing time, the
+// bytes it covers and whether they are unchanged. modifiedAfterSigning
+// means the file was added to after the signature was made, as incremental
+// updates do.
+async function verifySignatures(bytes) {
+  const pdf = Buffer.from(bytes);
+  const pdfDoc = await PDFDocument.load(pdf, { ignoreEncryption: true, updateMetadata: false, throwOnInvalidObject: false });
+  const objects = pdfDoc.context.enumerateIndirectObjects();
+  // Strings in encrypted files cannot be read without decrypting them
+  const text = (dict, key) => {
+    const value = !pdfDoc.isEncrypted && dict.lookupMaybe(PDFName.of(key), PDFString, PDFHexString);
+    return value ? value.decodeText() : undefined;
+  };
+
+  const fieldsBySignature = new Map();
+  for (const [, object] of objects) {
+    if (!(object instanceof PDFDict) || object.get(PDFName.of('FT')) !== PDFName.of('Sig')) continue;
+    const value = object.get(PDFName.of('V'));
+    if (value instanceof PDFRef) fieldsBySignature.set(value.toString(), object);
+  }
+
+  const signatures = [];
+  for (const [ref, object] of objects) {
+    if (!(object instanceof PDFDict)) continue;
+    const byteRangeArray = object.lookupMaybe(PDFName.of('ByteRange'), PDFArray);
+    if (!byteRangeArray || !object.has(PDFName.of('Contents'))) continue;
+
+    const byteRange = byteRangeArray.asArray().map(item => (item instanceof PDFNumber ? item.asNumber() : NaN));
+    const subFilter = object.lookupMaybe(PDFName.of('SubFilter'), PDFName);
+    const contents = object.lookupMaybe(PDFName.of('Contents'), PDFHexString, PDFString);
+    const field = fieldsBySignature.get(ref.toString());
+    const check = checkSignature(
+      pdf,
+      byteRange,
+      subFilter ? subFilter.decodeText() : 'none',
+      contents instanceof PDFHexString ? contents.asString() : null
+    );
+
+    let signingTime = check.signingTime;
+    if (!signingTime && !pdfDoc.isEncrypted) {
+      const date = object.lookupMaybe(PDFName.of('M'), PDFString, PDFHexString);
+      const parsed = date && date.decodeDate && date.decodeDate();
+      if (parsed && !Number.isNaN(parsed.getTime())) signingTime = parsed.toISOString();
+    }
+    const end = byteRange[2] + byteRange[3];
+
+    signatures.push({
+      field: field && !pdfDoc.isEncrypted ? fieldName(field) : null,
+      subFilter: subFilter ? subFilter.decodeText() : null,
+      signer: check.signer,
+      name: text(object, 'Name'),
+      reason: text(object, 'Reason'),
+      location: text(object, 'Location'),
+      contactInfo: text(object, 'ContactInfo'),
+      signingTime,
+      byteRange,
+      signedBytes: byteRange[1] + byteRange[3],
+      fileSize: pdf.length,
+      coversWholeDocument: byteRange[0] === 0 && end === pdf.length,
+      modifiedAfterSigning: end < pdf.length,
+      intact: check.intact,
+      problems: check.problems
+    });
+  }
+
+  return signatures.sort((a, b) => (a.byteRange[2] + a.byteRange[3]) - (b.byteRange[2] + b.byteRange[3]));
+}
+
+module.exports = { loadSigner, addSignature, verifySignatures };
@@ -0,0 +1,658 @@
+// Table recognition for /pdfToJson?tables=1 and table layout for
+// /jsonToPdf. Tables are found two ways: grids of ruling lines, and blocks
+// of text lines whose pieces line up in columns. Both become 'table'
+// elements with rows, cells, spans, bounding boxes and a CSV/JSON export.
+
+const { layoutText, ascentAt } = require('./text');
+
+const ROUND = value => Math.round(value * 100) / 100;
+
+// Ruling lines closer than this (in points) are taken as touching
+const TOLERANCE = 2;
+// Filled rectangles thinner than this are drawn rules, not shapes
+const THIN = 2.5;
+// Text pieces on one line further apart than this many font sizes are
+// separate cells
+const CELL_GAP = 0.6;
+// Consecutive table lines are at most this many font sizes apart
+const ROW_GAP = 2.5;
+// Blocks whose cells hold more characters than this on average are
+// columns of prose, not tables
+const MAX_CELL_CHARACTERS = 40;
+// Aligned text needs this many rows to count as a table; two lines with a
+// gap each are too common in ordinary text
+const MIN_TEXT_ROWS = 3;
+// Pages with more ruling segments than this skip the grid search
+const MAX_SEGMENTS = 2000;
+
+const DEFAULT_PADDING = 4;
+const DEFAULT_FONT_SIZE = 10;
+const DEFAULT_LINE_HEIGHT = 1.2;
+
+const STYLE_KEYS = ['fontSize', 'fontName', 'fontFamily', 'fontWeight', 'italic', 'color'];
+
+// Turn a cell's text items into its text: items on one baseline are joined
+// with spaces where there is a gap, lines with newlines
+function joinItems(items) {
+  const sorted = [...items].sort((a, b) => a.y - b.y || a.x - b.x);
+  let text = '';
+  let previous = null;
+
+  for (const item of sorted) {
+    if (previous) {
+      const sameLine = Math.abs(item.y - previous.y) <= 0.3 * Math.min(item.fontSize, previous.fontSize);
+      if (!sameLine) {
+        text += '\n';
+      } else if (item.x - (previous.x + (previous.width || 0)) > 0.15 * item.fontSize &&
+          !/\s$/.test(text) && !/^\s/.test(item.text)) {
+        text += ' ';
+      }
+    }
+    text += item.text;
+    previous = item;
+  }
+
+  return text.split('\n').map(line => line.trim()).join('\n').trim();
+}
+
+function styleOf(item) {
+  const style = {};
+  for (const key of STYLE_KEYS) {
+    if (item[key] !== undefined) style[key] = item[key];
+  }
+  return style;
+}
+
+// Export the cell texts as a rows x columns array of strings; spanned
+// cells keep their text in their top-left position
+function tableData(cells, rowCount, columnCount) {
+  const data = Array.from({ length: rowCount }, () => Array(columnCount).fill(''));
+  for (const cell of cells) {
+    if (cell.row < rowCount && cell.column < columnCount) data[cell.row][cell.column] = cell.text || '';
+  }
+  return data;
+}
+
+function toCsv(data) {
+  return data
+    .map(row => row.map(value => {
+      const text = String(value);
+      return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }).join(','))
+    .join('\n');
+}
+
+// Build the table element from grid lines (xs, ys) and cells carrying
+// their own style. The style most cells share moves up to the table.
+function toTableElement(xs, ys, cells, extra) {
+  const withText = cells.filter(cell => cell.text);
+  const first = withText[0] || {};
+  const shared = {};
+  for (const key of STYLE_KEYS) {
+    if (first[key] !== undefined && withText.every(cell => cell[key] === first[key])) shared[key] = first[key];
+  }
+
+  const rowCount = ys.length - 1;
+  const columnCount = xs.length - 1;
+  const data = tableData(cells, rowCount, columnCount);
+
+  return {
+    type: 'table',
+    x: ROUND(xs[0]),
+    y: ROUND(ys[0]),
+    width: ROUND(xs[xs.length - 1] - xs[0]),
+    height: ROUND(ys[ys.length - 1] - ys[0]),
+    columns: xs.slice(1).map((x, i) => ROUND(x - xs[i])),
+    rows: ys.slice(1).map((y, i) => ROUND(y - ys[i])),
+    ...shared,
+    ...extra,
+    cells: cells.map(cell => {
+      const trimmed = { ...cell };
+      for (const key of Object.keys(shared)) delete trimmed[key];
+      if (trimmed.rowSpan === 1) delete trimmed.rowSpan;
+      if (trimmed.colSpan === 1) delete trimmed.colSpan;
+      return trimmed;
+    }),
+    data,
+    csv: toCsv(data)
+  };
+}
+
+// Axis-aligned segments of a path element, as { horizontal, pos, from, to }
+// in top-left page coordinates
+function segmentsOf(path) {
+  if (path.shape === 'rectangle' && path.fill && !path.stroke) {
+    if (path.height <= THIN && path.width > THIN) {
+      return [{ horizontal: true, pos: path.y + path.height / 2, from: path.x, to: path.x + path.width, width: path.height, color: path.fill }];
+    }
+    if (path.width <= THIN && path.height > THIN) {
+      return [{ horizontal: false, pos: path.x + path.width / 2, from: path.y, to: path.y + path.height, width: path.width, color: path.fill }];
+    }
+    return [];
+  }
+  if (!path.stroke || !path.d) return [];
+
+  const segments = [];
+  const tokens = path.d.trim().split(/\s+/);
+  let start = null;
+  let current = null;
+
+  const addSegment = (a, b) => {
+    const dx = Math.abs(a[0] - b[0]);
+    const dy = Math.abs(a[1] - b[1]);
+    const style = { width: path.lineWidth || 1, color: path.stroke };
+    if (dy <= 0.5 && dx > TOLERANCE) {
+      segments.push({ horizontal: true, pos: (a[1] + b[1]) / 2, from: Math.min(a[0], b[0]), to: Math.max(a[0], b[0]), ...style });
+    } else if (dx <= 0.5 && dy > TOLERANCE) {
+      segments.push({ horizontal: false, pos: (a[0] + b[0]) / 2, from: Math.min(a[1], b[1]), to: Math.max(a[1], b[1]), ...style });
+    }
+  };
+
+  for (let i = 0; i < tokens.length;) {
+    const command = tokens[i++];
+    if (command === 'M') {
+      current = [Number(tokens[i]), Number(tokens[i + 1])];
+      start = current;
+      i += 2;
+    } else if (command === 'L') {
+      const next = [Number(tokens[i]), Number(tokens[i + 1])];
+      if (current) addSegment(current, next);
+      current = next;
+      i += 2;
+    } else if (command === 'C') {
+      current = [Number(tokens[i + 4]), Number(tokens[i + 5])];
+      i += 6;
+    } else if (command === 'Z') {
+      if (current && start) addSegment(current, start);
+      current = start;
+    } else {
+      // Numbers continuing the previous command are not produced by
+      // collectGraphics; anything else ends the parse
+      break;
+    }
+  }
+
+  return segments;
+}
+
+function crosses(h, v) {
+  return v.pos >= h.from - TOLERANCE && v.pos <= h.to + TOLERANCE &&
+    h.pos >= v.from - TOLERANCE && h.pos <= v.to + TOLERANCE;
+}
+
+// Merge positions closer than TOLERANCE into their mean
+function clusterPositions(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const clusters = [];
+  for (const value of sorted) {
+    const cluster = clusters[clusters.length - 1];
+    if (cluster && value - cluster[cluster.length - 1] <= TOLERANCE) cluster.push(value);
+    else clusters.push([value]);
+  }
+  return clusters.map(cluster => cluster.reduce((sum, value) => sum + value, 0) / cluster.length);
+}
+
+// Whether rules at pos cover the whole stretch from a to b
+function covered(segments, pos, a, b) {
+  const spans = segments
+    .filter(segment => Math.abs(segment.pos - pos) <= TOLERANCE)
+    .sort((s, t) => s.from - t.from);
+  let reach = a + TOLERANCE;
+  for (const segment of spans) {
+    if (segment.from > reach + TOLERANCE) break;
+    reach = Math.max(reach, segment.to);
+  }
+  return reach >= b - TOLERANCE;
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return sorted.length ? sorted[Math.floor(sorted.length / 2)] : 0;
+}
+
+// Tables drawn with ruling lines. Connected horizontal and vertical rules
+// make a grid; a missing rule between two grid cells merges them into a
+// spanning cell.
+function ruledTables(texts, paths) {
+  const owners = [];
+  const segments = [];
+  for (const path of paths) {
+    for (const segment of segmentsOf(path)) {
+      segments.push(segment);
+      owners.push(path);
+    }
+  }
+  if (segments.length < 4 || segments.length > MAX_SEGMENTS) return [];
+
+  // Group crossing rules with a union-find
+  const parent = segments.map((_, i) => i);
+  const find = i => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  segments.forEach((a, i) => {
+    if (!a.horizontal) return;
+    segments.forEach((b, j) => {
+      if (!b.horizontal && crosses(a, b)) parent[find(i)] = find(j);
+    });
+  });
+
+  const groups = new Map();
+  segments.forEach((segment, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(i);
+  });
+
+  const tables = [];
+  for (const members of groups.values()) {
+    const group = members.map(i => segments[i]);
+    const hs = group.filter(segment => segment.horizontal);
+    const vs = group.filter(segment => !segment.horizontal);
+    const ys = clusterPositions(hs.map(segment => segment.pos));
+    const xs = clusterPositions(vs.map(segment => segment.pos));
+    if (ys.length < 2 || xs.length < 2 || (ys.length - 1) * (xs.length - 1) < 2) continue;
+
+    // Merge grid cells not separated by a rule
+    const rowCount = ys.length - 1;
+    const columnCount = xs.length - 1;
+    const cellParent = Array.from({ length: rowCount * columnCount }, (_, i) => i);
+    const findCell = i => (cellParent[i] === i ? i : (cellParent[i] = findCell(cellParent[i])));
+    for (let r = 0; r < rowCount; r++) {
+      for (let c = 0; c < columnCount; c++) {
+        if (c + 1 < columnCount && !covered(vs, xs[c + 1], ys[r], ys[r + 1])) {
+          cellParent[findCell(r * columnCount + c)] = findCell(r * columnCount + c + 1);
+        }
+        if (r + 1 < rowCount && !covered(hs, ys[r + 1], xs[c], xs[c + 1])) {
+          cellParent[findCell(r * columnCount + c)] = findCell((r + 1) * columnCount + c);
+        }
+      }
+    }
+
+    const merged = new Map();
+    for (let i = 0; i < rowCount * columnCount; i++) {
+      const root = findCell(i);
+      const r = Math.floor(i / columnCount);
+      const c = i % columnCount;
+      const box = merged.get(root) || { top: r, bottom: r, left: c, right: c, items: [] };
+      box.top = Math.min(box.top, r);
+      box.bottom = Math.max(box.bottom, r);
+      box.left = Math.min(box.left, c);
+      box.right = Math.max(box.right, c);
+      merged.set(root, box);
+    }
+    if (merged.size < 2) continue;
+
+    // Text goes to the cell holding the middle of its first line
+    const used = [];
+    for (const text of texts) {
+      if (text.text.trim() === '') continue;
+      const px = text.x + (text.width || 0) / 2;
+      const py = text.y - 0.3 * text.fontSize;
+      if (px < xs[0] || px > xs[columnCount] || py < ys[0] || py > ys[rowCount]) continue;
+      const c = xs.findIndex((x, i) => i < columnCount && px >= x && px <= xs[i + 1]);
+      const r = ys.findIndex((y, i) => i < rowCount && py >= y && py <= ys[i + 1]);
+      if (c < 0 || r < 0) continue;
+      merged.get(findCell(r * columnCount + c)).items.push(text);
+      used.push(text);
+    }
+
+    const boxes = [...merged.values()];
+    if (boxes.filter(box => box.items.length > 0).length < 2) continue;
+
+    const gaps = [];
+    const cells = boxes
+      .sort((a, b) => a.top - b.top || a.left - b.left)
+      .map(box => {
+        const x = xs[box.left];
+        const y = ys[box.top];
+        const width = xs[box.right + 1] - x;
+        const height = ys[box.bottom + 1] - y;
+        const cell = {
+          row: box.top,
+          column: box.left,
+          rowSpan: box.bottom - box.top + 1,
+          colSpan: box.right - box.left + 1,
+          text: joinItems(box.items),
+          x: ROUND(x),
+          y: ROUND(y),
+          width: ROUND(width),
+          height: ROUND(height)
+        };
+        if (box.items.length > 0) {
+          Object.assign(cell, styleOf(box.items[0]));
+          const left = Math.min(...box.items.map(item => item.x)) - x;
+          const right = x + width - Math.max(...box.items.map(item => item.x + (item.width || 0)));
+          gaps.push(Math.min(left, right));
+          if (Math.abs(left - right) <= TOLERANCE && left > TOLERANCE) cell.align = 'center';
+          else if (right < left - TOLERANCE) cell.align = 'right';
+
+          const top = Math.min(...box.items.map(item => item.y - 0.8 * item.fontSize)) - y;
+          const bottom = y + height - Math.max(...box.items.map(item => item.y + 0.2 * item.fontSize));
+          if (Math.abs(top - bottom) <= TOLERANCE && top > TOLERANCE) cell.verticalAlign = 'middle';
+          else if (bottom < top - TOLERANCE) cell.verticalAlign = 'bottom';
+        }
+        return cell;
+      });
+
+    tables.push({
+      element: toTableElement(xs, ys, cells, {
+        padding: ROUND(Math.max(0, Math.min(10, median(gaps)))),
+        borderWidth: ROUND(median(group.map(segment => segment.width))),
+        borderColor: group[0].color
+      }),
+      texts: used,
+      paths: new Set(members.map(i => owners[i]))
+    });
+  }
+
+  return tables;
+}
+
+// Group text items into lines, and each line into pieces separated by
+// gaps wider than CELL_GAP font sizes
+function textLines(texts, metricsOf) {
+  const items = texts
+    .filter(text => text.text.trim() !== '')
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const lines = [];
+  for (const item of items) {
+    const line = lines[lines.length - 1];
+    if (line && Math.abs(line.y - item.y) <= 0.3 * Math.min(line.fontSize, item.fontSize)) {
+      line.items.push(item);
+      line.fontSize = Math.max(line.fontSize, item.fontSize);
+    } else {
+      lines.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  for (const line of lines) {
+    line.items.sort((a, b) => a.x - b.x);
+    line.pieces = [];
+    for (const item of line.items) {
+      const piece = line.pieces[line.pieces.length - 1];
+      const right = item.x + (item.width || 0);
+      if (piece && item.x - piece.right <= CELL_GAP * item.fontSize) {
+        piece.items.push(item);
+        piece.right = Math.max(piece.right, right);
+      } else {
+        line.pieces.push({ items: [item], x: item.x, right });
+      }
+    }
+
+    const tops = line.items.map(item => item.y - metricsOf(item.fontName).ascent * item.fontSize);
+    const bottoms = line.items.map(item => item.y - metricsOf(item.fontName).descent * item.fontSize);
+    line.top = Math.min(...tops);
+    line.bottom = Math.max(...bottoms);
+  }
+
+  return lines;
+}
+
+// Column extents of a block: the pieces of its fullest lines merged where
+// they overlap
+function blockColumns(lines) {
+  const most = Math.max(...lines.map(line => line.pieces.length));
+  const spans = lines
+    .filter(line => line.pieces.length === most)
+    .flatMap(line => line.pieces.map(piece => [piece.x, piece.right]))
+    .sort((a, b) => a[0] - b[0]);
+
+  const columns = [];
+  for (const [left, right] of spans) {
+    const column = columns[columns.length - 1];
+    if (column && left <= column[1]) column[1] = Math.max(column[1], right);
+    else columns.push([left, right]);
+  }
+  return columns;
+}
+
+// Which columns each piece of a line covers, or null when a piece falls
+// between columns or two pieces share one
+function placePieces(line, columns) {
+  const placed = [];
+  let last = -1;
+  for (const piece of line.pieces) {
+    const covers = columns
+      .map((column, i) => (piece.x <= column[1] + TOLERANCE && piece.right >= column[0] - TOLERANCE ? i : -1))
+      .filter(i => i >= 0);
+    if (covers.length === 0 || covers[0] <= last) return null;
+    last = covers[covers.length - 1];
+    placed.push({ piece, first: covers[0], last });
+  }
+  return placed;
+}
+
+// Find the table in a block of lines, splitting it at lines that do not
+// fit its columns
+function blockTables(lines) {
+  if (lines.length < MIN_TEXT_ROWS) return [];
+
+  const columns = blockColumns(lines);
+  if (columns.length < 2) return [];
+
+  const placements = lines.map(line => placePieces(line, columns));
+  const misfit = placements.findIndex(placement => !placement);
+  if (misfit >= 0) {
+    return [
+      ...blockTables(lines.slice(0, misfit)),
+      ...blockTables(lines.slice(misfit + 1))
+    ];
+  }
+
+  const pieces = placements.flat();
+  const characters = pieces.reduce((count, { piece }) => count + joinItems(piece.items).length, 0);
+  if (characters / pieces.length > MAX_CELL_CHARACTERS) return [];
+
+  // Columns whose pieces share a left edge are left-aligned, and so on
+  const aligns = columns.map((_, i) => {
+    const own = pieces.filter(placed => placed.first === i && placed.last === i).map(placed => placed.piece);
+    if (own.length < 2) return 'left';
+    const spread = values => Math.max(...values) - Math.min(...values);
+    if (spread(own.map(piece => piece.x)) <= 1) return 'left';
+    if (spread(own.map(piece => piece.right)) <= 1) return 'right';
+    if (spread(own.map(piece => (piece.x + piece.right) / 2)) <= 1) return 'center';
+    return 'left';
+  });
+
+  // Column edges sit one padding away from the text they hold
+  const padding = 2;
+  const lefts = columns.map((_, i) => Math.min(...pieces.filter(placed => placed.first === i).map(placed => placed.piece.x)));
+  const rights = columns.map((_, i) => Math.max(...pieces.filter(placed => placed.last === i).map(placed => placed.piece.right)));
+  const xs = [lefts[0] - padding];
+  for (let i = 1; i < columns.length; i++) {
+    if (aligns[i] !== 'right' && aligns[i] !== 'center') xs.push(lefts[i] - padding);
+    else if (aligns[i - 1] === 'right') xs.push(rights[i - 1] + padding);
+    else xs.push((rights[i - 1] + lefts[i]) / 2);
+  }
+  xs.push(rights[columns.length - 1] + padding);
+  for (let i = 1; i < xs.length; i++) xs[i] = Math.max(xs[i], xs[i - 1] + 1);
+
+  const ys = lines.map(line => line.top - padding);
+  ys.push(lines[lines.length - 1].bottom + padding);
+  for (let i = 1; i < ys.length; i++) ys[i] = Math.max(ys[i], ys[i - 1] + 1);
+
+  const cells = [];
+  placements.forEach((placement, row) => {
+    for (const { piece, first, last } of placement) {
+      const x = xs[first];
+      const width = xs[last + 1] - x;
+      const cell = {
+        row,
+        column: first,
+        rowSpan: 1,
+        colSpan: last - first + 1,
+        text: joinItems(piece.items),
+        x: ROUND(x),
+        y: ROUND(ys[row]),
+        width: ROUND(width),
+        height: ROUND(ys[row + 1] - ys[row]),
+        ...styleOf(piece.items[0])
+      };
+      const align = first === last
+        ? aligns[first]
+        : Math.abs((piece.x + piece.right) / 2 - (x + width / 2)) <= TOLERANCE ? 'center' : 'left';
+      if (align !== 'left') cell.align = align;
+      cells.push(cell);
+    }
+  });
+
+  return [{
+    element: toTableElement(xs, ys, cells, { padding, borderWidth: 0 }),
+    texts: pieces.flatMap(({ piece }) => piece.items),
+    paths: new Set()
+  }];
+}
+
+// Tables made of aligned text: runs of consecutive lines with at least two
+// pieces each, close enough to be rows of one table
+function alignedTables(texts, metricsOf) {
+  const lines = textLines(texts, metricsOf);
+  const tables = [];
+  let block = [];
+
+  const flush = () => {
+    tables.push(...blockTables(block));
+    block = [];
+  };
+
+  for (const line of lines) {
+    const previous = block[block.length - 1];
+    if (line.pieces.length < 2) {
+      flush();
+      continue;
+    }
+    if (previous && line.y - previous.y > ROW_GAP * Math.max(line.fontSize, previous.fontSize)) flush();
+    block.push(line);
+  }
+  flush();
+
+  return tables;
+}
+
+// Find the tables of a page. texts are its (unrotated) text elements, paths
+// its path elements; metricsOf(fontName) returns the font's { ascent,
+// descent }. Returns the 'table' elements and the text and path elements
+// they took in.
+function detectTables(texts, paths, metricsOf) {
+  const ruled = ruledTables(texts, paths);
+  const usedTexts = new Set(ruled.flatMap(table => table.texts));
+  const aligned = alignedTables(texts.filter(text => !usedTexts.has(text)), metricsOf);
+
+  const tables = [...ruled, ...aligned];
+
+  // pdf.js fills gaps between words with blank items; those inside a table
+  // go with it
+  const blanks = texts.filter(text => text.text.trim() === '' && tables.some(({ element }) =>
+    text.x >= element.x && text.x <= element.x + element.width &&
+    text.y >= element.y && text.y <= element.y + element.height));
+
+  return {
+    tables: tables.map(table => table.element).sort((a, b) => a.y - b.y || a.x - b.x),
+    texts: new Set([...tables.flatMap(table => table.texts), ...blanks]),
+    paths: new Set(tables.flatMap(table => [...table.paths]))
+  };
+}
+
+// Cells of a table element for drawing, from 'cells' or else from 'data'
+function cellsOf(element) {
+  if (Array.isArray(element.cells)) return element.cells;
+  return (element.data || []).flatMap((values, row) => values.map((value, column) => ({
+    row,
+    column,
+    text: value === null || value === undefined ? '' : String(value)
+  })));
+}
+
+// Work out where every cell of a table element goes. Rows without a
+// height get room for one line of text. Returns { boxes, problems }: a box
+// is { index, cell, x, y, width, height, text } with text the cell's
+// 'text' element (its y still to be set by placeCellText), and problems
+// are { index, message } for cells outside the grid.
+function layoutTable(element) {
+  const cells = cellsOf(element);
+  const padding = element.padding !== undefined ? element.padding : DEFAULT_PADDING;
+  const fontSize = element.fontSize || DEFAULT_FONT_SIZE;
+  const rowCount = Math.max(
+    (element.rows || []).length,
+    ...cells.map(cell => cell.row + (cell.rowSpan || 1))
+  );
+  const rowHeights = Array.from({ length: rowCount }, (_, i) =>
+    (element.rows && element.rows[i]) || fontSize * DEFAULT_LINE_HEIGHT + 2 * padding);
+
+  const xs = [element.x];
+  for (const width of element.columns) xs.push(xs[xs.length - 1] + width);
+  const ys = [element.y];
+  for (const height of rowHeights) ys.push(ys[ys.length - 1] + height);
+
+  const boxes = [];
+  const problems = [];
+  cells.forEach((cell, index) => {
+    const lastColumn = cell.column + (cell.colSpan || 1);
+    if (lastColumn > element.columns.length) {
+      problems.push({ index, message: `cell is outside the table's ${element.columns.length} columns` });
+      return;
+    }
+
+    const x = xs[cell.column];
+    const y = ys[cell.row];
+    const width = xs[lastColumn] - x;
+    const height = ys[cell.row + (cell.rowSpan || 1)] - y;
+    const box = { index, cell, x, y, width, height, text: null };
+
+    if (cell.text) {
+      const style = {};
+      for (const key of STYLE_KEYS) {
+        const value = cell[key] !== undefined ? cell[key] : element[key];
+        if (value !== undefined) style[key] = value;
+      }
+      box.text = {
+        type: 'text',
+        text: String(cell.text),
+        fontSize,
+        ...style,
+        x: x + padding,
+        maxWidth: Math.max(1, width - 2 * padding),
+        maxHeight: Math.max(1, height - 2 * padding),
+        overflow: 'shrink',
+        align: cell.align || element.align || 'left'
+      };
+    }
+    boxes.push(box);
+  });
+
+  // Grid slots no cell covers still get their borders
+  const taken = new Set();
+  for (const { cell } of boxes) {
+    for (let r = cell.row; r < cell.row + (cell.rowSpan || 1); r++) {
+      for (let c = cell.column; c < cell.column + (cell.colSpan || 1); c++) taken.add(`${r},${c}`);
+    }
+  }
+  for (let row = 0; row < rowCount; row++) {
+    element.columns.forEach((_, column) => {
+      if (taken.has(`${row},${column}`)) return;
+      const x = xs[column];
+      const y = ys[row];
+      boxes.push({ index: null, cell: { row, column }, x, y, width: xs[column + 1] - x, height: ys[row + 1] - y, text: null });
+    });
+  }
+
+  return { boxes, problems, padding };
+}
+
+// Set the baseline of a cell's text element once its fonts are known,
+// following the cell's verticalAlign
+function placeCellText(box, chain, element, padding) {
+  const { size, lineHeight, lines } = layoutText(box.text, chain);
+  const ascent = ascentAt(chain, size);
+  const descent = chain[0].pdfFont.heightAtSize(size) - ascent;
+  const textHeight = ascent + (lines.length - 1) * lineHeight + descent;
+  const verticalAlign = box.cell.verticalAlign || element.verticalAlign || 'top';
+
+  let top = box.y + padding;
+  if (verticalAlign === 'middle') top = box.y + (box.height - textHeight) / 2;
+  if (verticalAlign === 'bottom') top = box.y + box.height - padding - textHeight;
+
+  // drawTextElement puts the top of the box one full-size ascent above y
+  return { ...box.text, y: top + ascentAt(chain, box.text.fontSize) };
+}
+
+module.exports = { detectTables, layoutTable, placeCellText };
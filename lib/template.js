@@ -0,0 +1,287 @@
+// Template expansion for /render: turns a layout with {{placeholders}},
+// conditional sections and repeating rows into a plain document that
+// /jsonToPdf's renderer understands.
+//
+// Layout additions on top of the document format:
+// - '{{path.to.value}}' in any string is replaced from the data object
+// - 'if': 'path' (or '!path') on a page or element keeps it only when the
+//   value is truthy (non-empty for arrays)
+// - { type: 'group', elements } bundles elements under one 'if'
+// - { type: 'repeat', each, as, x, y, rowHeight, bottom, continueAt,
+//   elements, summary } draws 'elements' once per item of the 'each' array,
+//   rowHeight apart and offset by the row origin. Rows that would cross
+//   'bottom' continue on a new page at 'continueAt'. 'summary' elements are
+//   drawn once below the last row (summaryHeight tall).
+// - 'everyPage': true repeats an element on every page its template page
+//   produces, including continuation pages
+// - '{{@index}}' / '{{@number}}' inside rows, '{{@page}}' / '{{@pages}}'
+//   anywhere on a page
+
+const PLACEHOLDER = /\{\{\s*([^{}]+?)\s*\}\}/g;
+const PAGE_TOKENS = new Set(['@page', '@pages']);
+const TEMPLATE_KEYS = ['if', 'everyPage'];
+const MAX_PAGES = 1000;
+
+function lookup(scope, path) {
+  let value = scope;
+  for (const key of path.split('.')) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  return value;
+}
+
+function interpolate(text, scope) {
+  return text.replace(PLACEHOLDER, (placeholder, path) => {
+    // Page numbers are only known once every page has been laid out
+    if (PAGE_TOKENS.has(path)) return placeholder;
+
+    const value = lookup(scope, path);
+    if (value === null || value === undefined) return '';
+    return typeof value === 'object' ? JSON.stringify(value) : String(value);
+  });
+}
+
+function fillValue(value, scope) {
+  if (typeof value === 'string') return interpolate(value, scope);
+  if (Array.isArray(value)) return value.map(item => fillValue(item, scope));
+  if (value && typeof value === 'object') {
+    const filled = {};
+    for (const [key, item] of Object.entries(value)) {
+      if (!TEMPLATE_KEYS.includes(key)) filled[key] = fillValue(item, scope);
+    }
+    return filled;
+  }
+  return value;
+}
+
+function isShown(condition, scope) {
+  if (condition === undefined) return true;
+  const negate = String(condition).startsWith('!');
+  const value = lookup(scope, String(condition).replace(/^!\s*/, ''));
+  const truthy = Array.isArray(value) ? value.length > 0 : Boolean(value);
+  return negate ? !truthy : truthy;
+}
+
+// Shift absolute SVG path commands; relative ones move with their start point
+function translatePathData(d, dx, dy) {
+  const tokens = d.match(/[a-zA-Z]|-?(?:\d+\.?\d*|\.\d+)(?:e[-+]?\d+)?/g) || [];
+  const out = [];
+  let command = null;
+  let index = 0;
+
+  for (const token of tokens) {
+    if (/[a-zA-Z]/.test(token)) {
+      command = token;
+      index = 0;
+      out.push(token);
+      continue;
+    }
+
+    let value = Number(token);
+    if (command === 'H') {
+      value += dx;
+    } else if (command === 'V') {
+      value += dy;
+    } else if (command === 'A') {
+      // rx ry rotation large-arc sweep x y
+      if (index % 7 === 5) value += dx;
+      if (index % 7 === 6) value += dy;
+    } else if (command && command === command.toUpperCase() && command !== 'Z') {
+      value += index % 2 === 0 ? dx : dy;
+    }
+    index++;
+    out.push(String(Math.round(value * 100) / 100));
+  }
+
+  return out.join(' ');
+}
+
+function translateElement(element, dx, dy) {
+  const moved = { ...element };
+  if (typeof moved.x === 'number') moved.x += dx;
+  if (typeof moved.y === 'number') moved.y += dy;
+  if (typeof moved.d === 'string') moved.d = translatePathData(moved.d, dx, dy);
+  if (Array.isArray(moved.transform) && moved.transform.length === 6) {
+    const [a, b, c, d, e, f] = moved.transform;
+    moved.transform = [a, b, c, d, e + dx, f + dy];
+  }
+  return moved;
+}
+
+// Lay out one template page, which may produce several output pages
+function expandPage(template, pageIndex, scope, violations, pageCount) {
+  const pages = [];
+  const basePath = `/pages/${pageIndex}`;
+  const everyPage = (template.elements || []).filter(element => element && element.everyPage);
+  let current = null;
+
+  const addPage = () => {
+    if (pageCount() + pages.length >= MAX_PAGES) {
+      throw new RangeError(`template produces more than ${MAX_PAGES} pages`);
+    }
+    current = { width: template.width, height: template.height, elements: [] };
+    pages.push(current);
+    for (const element of everyPage) {
+      if (isShown(element.if, scope)) current.elements.push(fillValue(element, scope));
+    }
+  };
+
+  // Plain elements and groups go onto the current page, offset by (dx, dy)
+  const placeElement = (element, elementScope, path, dx = 0, dy = 0) => {
+    if (!element || typeof element !== 'object') {
+      violations.push({ path, message: 'must be object' });
+      return;
+    }
+    if (!isShown(element.if, elementScope)) return;
+
+    if (element.type === 'group') {
+      place(element.elements || [], elementScope, `${path}/elements`, dx, dy);
+    } else if (element.type === 'repeat') {
+      violations.push({ path, message: 'repeat blocks cannot be nested' });
+    } else {
+      current.elements.push(translateElement(fillValue(element, elementScope), dx, dy));
+    }
+  };
+
+  const place = (elements, elementScope, path, dx, dy) => {
+    if (!Array.isArray(elements)) {
+      violations.push({ path, message: 'must be array' });
+      return;
+    }
+    elements.forEach((element, i) => placeElement(element, elementScope, `${path}/${i}`, dx, dy));
+  };
+
+  const repeat = (block, path) => {
+    if (block.each === undefined) {
+      violations.push({ path: `${path}/each`, message: 'is required' });
+      return;
+    }
+    if (block.elements !== undefined && !Array.isArray(block.elements)) {
+      violations.push({ path: `${path}/elements`, message: 'must be array' });
+      return;
+    }
+    const items = lookup(scope, String(block.each));
+    const rowHeight = Number(block.rowHeight);
+    const top = Number(block.y) || 0;
+    const left = Number(block.x) || 0;
+    const bottom = block.bottom !== undefined ? Number(block.bottom) : template.height;
+    const continueAt = block.continueAt !== undefined ? Number(block.continueAt) : top;
+
+    if (!(rowHeight > 0)) {
+      violations.push({ path: `${path}/rowHeight`, message: 'must be > 0' });
+      return;
+    }
+    if (items === undefined || items === null) return;
+    if (!Array.isArray(items)) {
+      violations.push({ path: `${path}/each`, message: `'${block.each}' must resolve to an array` });
+      return;
+    }
+
+    let rowY = top;
+    let pageHasRows = false;
+    const ensureRoom = height => {
+      // Only a page that already holds rows is left behind, so a row taller
+      // than the room it has still goes somewhere rather than looping or
+      // leaving an empty page
+      if (rowY + height > bottom && pageHasRows) {
+        addPage();
+        rowY = continueAt;
+        pageHasRows = false;
+      }
+    };
+
+    items.forEach((item, index) => {
+      const rowScope = Object.assign(Object.create(scope), {
+        [block.as || 'item']: item,
+        '@index': index,
+        '@number': index + 1
+      });
+      ensureRoom(rowHeight);
+      place(block.elements || [], rowScope, `${path}/elements`, left, rowY);
+      rowY += rowHeight;
+      pageHasRows = true;
+    });
+
+    if (Array.isArray(block.summary) && block.summary.length > 0) {
+      ensureRoom(Number(block.summaryHeight) || 0);
+      place(block.summary, scope, `${path}/summary`, left, rowY);
+    }
+  };
+
+  addPage();
+  (template.elements || []).forEach((element, i) => {
+    const path = `${basePath}/elements/${i}`;
+    if (element && element.everyPage) return;
+
+    if (element && element.type === 'repeat') {
+      if (isShown(element.if, scope)) repeat(element, path);
+    } else {
+      placeElement(element, scope, path);
+    }
+  });
+
+  return pages;
+}
+
+// Replace {{@page}} and {{@pages}} once the final page count is known
+function numberPages(pages) {
+  pages.forEach((page, index) => {
+    const scope = { '@page': index + 1, '@pages': pages.length };
+    const fill = value => {
+      if (typeof value === 'string') {
+        return value.replace(PLACEHOLDER, (placeholder, path) =>
+          PAGE_TOKENS.has(path) ? String(scope[path]) : placeholder);
+      }
+      if (Array.isArray(value)) return value.map(fill);
+      if (value && typeof value === 'object') {
+        return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, fill(item)]));
+      }
+      return value;
+    };
+    page.elements = fill(page.elements);
+  });
+  return pages;
+}
+
+// Expand a layout with data. Returns { document, violations }; violations
+// point into the layout and the document is only meaningful without them.
+function expandTemplate(layout, data = {}) {
+  const violations = [];
+
+  if (!layout || typeof layout !== 'object' || !Array.isArray(layout.pages)) {
+    return { document: null, violations: [{ path: '/pages', message: 'must be array' }] };
+  }
+
+  const scope = data && typeof data === 'object' ? data : {};
+  const pages = [];
+
+  try {
+    layout.pages.forEach((template, pageIndex) => {
+      if (!template || typeof template !== 'object') {
+        violations.push({ path: `/pages/${pageIndex}`, message: 'must be object' });
+        return;
+      }
+      if (!isShown(template.if, scope)) return;
+      if (template.elements !== undefined && !Array.isArray(template.elements)) {
+        violations.push({ path: `/pages/${pageIndex}/elements`, message: 'must be array' });
+        return;
+      }
+      pages.push(...expandPage(template, pageIndex, scope, violations, () => pages.length));
+    });
+  } catch (error) {
+    if (!(error instanceof RangeError)) throw error;
+    violations.push({ path: '/pages', message: error.message });
+  }
+
+  const rest = { ...layout };
+  delete rest.pages;
+  const document = {
+    ...fillValue(rest, scope),
+    pages: numberPages(pages)
+  };
+
+  return { document, violations };
+}
+
+module.exports = { expandTemplate };
@@ -0,0 +1,161 @@
+const {
+  pushGraphicsState,
+  popGraphicsState,
+  rectangle,
+  clip,
+  endPath
+} = require('pdf-lib');
+const { splitRuns, measureRuns, drawRuns } = require('./fonts');
+const { parseColor } = require('./colors');
+
+const DEFAULT_LINE_HEIGHT = 1.2;
+const MIN_SHRINK_SIZE = 4;
+const SHRINK_STEP = 0.5;
+
+function measure(text, chain, size) {
+  return measureRuns(splitRuns(text, chain), size);
+}
+
+// Ascent of the element's primary font, used to turn the first baseline (y)
+// into the top of the text box
+function ascentAt(chain, size) {
+  return chain[0].pdfFont.heightAtSize(size, { descender: false });
+}
+
+// Break one paragraph into lines no wider than maxWidth. Words wider than a
+// whole line are split between characters.
+function wrapParagraph(paragraph, chain, size, maxWidth) {
+  const spaceWidth = measure(' ', chain, size);
+  const lines = [];
+  let line = { words: [], width: 0 };
+
+  const pushLine = () => {
+    lines.push(line);
+    line = { words: [], width: 0 };
+  };
+
+  for (const word of paragraph.split(/\s+/).filter(Boolean)) {
+    let rest = word;
+    let restWidth = measure(rest, chain, size);
+
+    if (line.words.length > 0 && line.width + spaceWidth + restWidth > maxWidth) {
+      pushLine();
+    }
+
+    while (line.words.length === 0 && restWidth > maxWidth && Array.from(rest).length > 1) {
+      const chars = Array.from(rest);
+      let cut = 1;
+      while (cut < chars.length - 1 && measure(chars.slice(0, cut + 1).join(''), chain, size) <= maxWidth) {
+        cut++;
+      }
+      const head = chars.slice(0, cut).join('');
+      line = { words: [head], width: measure(head, chain, size), broken: true };
+      pushLine();
+      rest = chars.slice(cut).join('');
+      restWidth = measure(rest, chain, size);
+    }
+
+    line.width += (line.words.length > 0 ? spaceWidth : 0) + restWidth;
+    line.words.push(rest);
+  }
+
+  lines.push(line);
+  lines[lines.length - 1].last = true;
+  return lines;
+}
+
+// Lay out a text element: split it into lines (wrapping at maxWidth when set)
+// and pick the font size, shrinking it for overflow: 'shrink'
+function layoutText(element, chain) {
+  const fontSize = element.fontSize || 12;
+  const lineFactor = element.lineHeight || DEFAULT_LINE_HEIGHT;
+  const paragraphs = String(element.text).split(/\r?\n/);
+  const { maxWidth, maxHeight } = element;
+
+  const unwrapped = size => paragraphs.map(text => ({
+    text,
+    width: measure(text, chain, size),
+    last: true
+  }));
+  const wrapped = size => paragraphs.flatMap(paragraph => wrapParagraph(paragraph, chain, size, maxWidth));
+
+  // Shrinking without a height keeps every paragraph on one line
+  const shrinkToLine = element.overflow === 'shrink' && !maxHeight;
+  const linesAt = size => (!maxWidth || shrinkToLine ? unwrapped(size) : wrapped(size));
+
+  const fits = (lines, size) => {
+    if (shrinkToLine) return lines.every(line => line.width <= maxWidth);
+    const height = lines.length * size * lineFactor;
+    return height <= maxHeight && !lines.some(line => line.broken);
+  };
+
+  let size = fontSize;
+  let lines = linesAt(size);
+  if (element.overflow === 'shrink' && maxWidth) {
+    while (!fits(lines, size) && size - SHRINK_STEP >= MIN_SHRINK_SIZE) {
+      size -= SHRINK_STEP;
+      lines = linesAt(size);
+    }
+  }
+
+  return { size, lineHeight: size * lineFactor, lines };
+}
+
+// Draw a text element. Without maxWidth it is drawn line by line from (x, y);
+// with maxWidth it is laid out in a box whose first baseline is y and whose
+// top sits one ascent above it.
+function drawTextElement(page, element, chain, pageHeight) {
+  const fontSize = element.fontSize || 12;
+  const color = parseColor(element.color);
+  const { size, lineHeight, lines } = layoutText(element, chain);
+  const { maxWidth, maxHeight } = element;
+
+  const top = element.y - ascentAt(chain, fontSize);
+  const firstBaseline = top + ascentAt(chain, size);
+  const descent = chain[0].pdfFont.heightAtSize(size) - ascentAt(chain, size);
+  const clipped = element.overflow === 'clip' && maxWidth;
+
+  if (clipped) {
+    const boxHeight = maxHeight || pageHeight;
+    page.pushOperators(
+      pushGraphicsState(),
+      rectangle(element.x, pageHeight - top - boxHeight, maxWidth, boxHeight),
+      clip(),
+      endPath()
+    );
+  }
+
+  lines.forEach((line, i) => {
+    const baseline = firstBaseline + i * lineHeight;
+    // Clipping keeps whole lines only
+    if (clipped && maxHeight && baseline + descent > top + maxHeight) return;
+
+    const y = pageHeight - baseline;
+    const slack = maxWidth ? maxWidth - line.width : 0;
+
+    if (element.align === 'justify' && line.words && !line.last && line.words.length > 1 && slack > 0) {
+      const spaceWidth = measure(' ', chain, size);
+      const gap = spaceWidth + slack / (line.words.length - 1);
+      let x = element.x;
+      for (const word of line.words) {
+        const runs = splitRuns(word, chain);
+        drawRuns(page, runs, { x, y, size, color });
+        x += measureRuns(runs, size) + gap;
+      }
+      return;
+    }
+
+    let offset = 0;
+    if (maxWidth && element.align === 'center') offset = slack / 2;
+    if (maxWidth && element.align === 'right') offset = slack;
+
+    const text = line.words ? line.words.join(' ') : line.text;
+    drawRuns(page, splitRuns(text, chain), { x: element.x + offset, y, size, color });
+  });
+
+  if (clipped) {
+    page.pushOperators(popGraphicsState());
+  }
+}
+
+module.exports = { ascentAt, layoutText, drawTextElement };
@@ -0,0 +1,205 @@
+// Merge pdf.js text items (already converted to text elements) into lines
+// or paragraphs with bounding boxes, for /pdfToJson?textMode=lines|paragraphs.
+// Only items sharing one style are merged, since a text element has a single
+// font and color.
+
+const ROUND = value => Math.round(value * 100) / 100;
+
+// A bullet or number opening a list item
+const LIST_MARKER = /^([•◦▪▫‣∙●○■□–\-*]|\d{1,3}[.)])\s+/;
+
+function sameStyle(a, b) {
+  return a.fontName === b.fontName &&
+    Math.abs(a.fontSize - b.fontSize) < 0.5 &&
+    a.color === b.color &&
+    a.fontWeight === b.fontWeight &&
+    a.italic === b.italic;
+}
+
+function styleOf(element) {
+  const { fontSize, fontName, fontFamily, fontWeight, italic, color } = element;
+  return { fontSize, fontName, fontFamily, fontWeight, italic, color };
+}
+
+// Join items that sit on one baseline into line segments. Large gaps start a
+// new segment so that table columns stay apart.
+function buildLines(elements, metricsOf) {
+  const items = elements
+    .filter(element => element.text.trim() !== '')
+    .sort((a, b) => a.y - b.y || a.x - b.x);
+
+  const rows = [];
+  for (const item of items) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - item.y) <= 0.3 * Math.min(row.fontSize, item.fontSize)) {
+      row.items.push(item);
+    } else {
+      rows.push({ y: item.y, fontSize: item.fontSize, items: [item] });
+    }
+  }
+
+  const lines = [];
+  for (const row of rows) {
+    row.items.sort((a, b) => a.x - b.x);
+    let line = null;
+
+    for (const item of row.items) {
+      const gap = line ? item.x - line.right : 0;
+      if (line && sameStyle(line, item) && gap < 1.5 * item.fontSize && gap > -0.5 * item.fontSize) {
+        const needsSpace = gap > 0.15 * item.fontSize && !/\s$/.test(line.text) && !/^\s/.test(item.text);
+        line.text += (needsSpace ? ' ' : '') + item.text;
+        line.right = Math.max(line.right, item.x + (item.width || 0));
+        continue;
+      }
+
+      line = {
+        ...styleOf(item),
+        text: item.text,
+        x: item.x,
+        y: item.y,
+        right: item.x + (item.width || 0)
+      };
+      lines.push(line);
+    }
+  }
+
+  for (const line of lines) {
+    const { ascent, descent } = metricsOf(line.fontName);
+    line.text = line.text.trim();
+    line.top = line.y - ascent * line.fontSize;
+    line.bottom = line.y - descent * line.fontSize;
+  }
+
+  return lines;
+}
+
+function toLineElement(line) {
+  return {
+    type: 'text',
+    text: line.text,
+    x: ROUND(line.x),
+    y: ROUND(line.y),
+    ...styleOf(line),
+    width: ROUND(line.right - line.x),
+    height: ROUND(line.bottom - line.top),
+    box: {
+      x: ROUND(line.x),
+      y: ROUND(line.top),
+      width: ROUND(line.right - line.x),
+      height: ROUND(line.bottom - line.top)
+    }
+  };
+}
+
+// Work out the alignment from where the lines start and end
+function detectAlign(lines, left, right) {
+  const tolerance = 1.5;
+  const lefts = lines.every(line => Math.abs(line.x - left) <= tolerance);
+  const bodyRights = lines.slice(0, -1).every(line => Math.abs(line.right - right) <= tolerance);
+  const rights = bodyRights && Math.abs(lines[lines.length - 1].right - right) <= tolerance;
+  const centre = (left + right) / 2;
+  const centres = lines.every(line => Math.abs((line.x + line.right) / 2 - centre) <= tolerance);
+
+  if (lefts && rights) return 'left';
+  if (lefts && bodyRights && lines.length > 2) return 'justify';
+  if (lefts) return 'left';
+  if (rights) return 'right';
+  if (centres) return 'center';
+  return 'left';
+}
+
+function toParagraphElement(paragraph) {
+  const { lines } = paragraph;
+  if (lines.length === 1) return toLineElement(lines[0]);
+
+  const left = Math.min(...lines.map(line => line.x));
+  const right = Math.max(...lines.map(line => line.right));
+  const top = lines[0].top;
+  const bottom = lines[lines.length - 1].bottom;
+  const first = lines[0];
+  const spacing = (lines[lines.length - 1].y - first.y) / (lines.length - 1);
+
+  // A hyphen at the end of a line joins the word back together
+  const text = lines.reduce((joined, line, i) => {
+    if (i === 0) return line.text;
+    return joined + (/-$/.test(joined) ? '' : ' ') + line.text;
+  }, '');
+
+  return {
+    type: 'text',
+    text,
+    x: ROUND(left),
+    y: ROUND(first.y),
+    ...styleOf(first),
+    width: ROUND(right - left),
+    height: ROUND(bottom - top),
+    // A little slack so a fallback font with wider glyphs wraps the same way
+    maxWidth: ROUND((right - left) * 1.02 + 1),
+    lineHeight: ROUND(spacing / first.fontSize),
+    align: detectAlign(lines, left, right),
+    box: {
+      x: ROUND(left),
+      y: ROUND(top),
+      width: ROUND(right - left),
+      height: ROUND(bottom - top)
+    }
+  };
+}
+
+// Stack lines into paragraphs: same style, overlapping horizontally and a
+// steady baseline distance of at most two font sizes. Every list item
+// starts a paragraph of its own.
+function buildParagraphs(lines) {
+  const paragraphs = [];
+
+  for (const line of [...lines].sort((a, b) => a.y - b.y || a.x - b.x)) {
+    const paragraph = !LIST_MARKER.test(line.text) && paragraphs.find(candidate => {
+      const last = candidate.lines[candidate.lines.length - 1];
+      const distance = line.y - last.y;
+      if (!sameStyle(last, line) || distance <= 0 || distance > 2 * line.fontSize) return false;
+      if (candidate.spacing && Math.abs(distance - candidate.spacing) > 0.2 * candidate.spacing) return false;
+      return line.x < candidate.right && line.right > candidate.left;
+    });
+
+    if (paragraph) {
+      const last = paragraph.lines[paragraph.lines.length - 1];
+      paragraph.spacing = paragraph.spacing || line.y - last.y;
+      paragraph.lines.push(line);
+      paragraph.left = Math.min(paragraph.left, line.x);
+      paragraph.right = Math.max(paragraph.right, line.right);
+    } else {
+      paragraphs.push({ lines: [line], left: line.x, right: line.right, spacing: null });
+    }
+  }
+
+  return paragraphs;
+}
+
+// Paragraphs in reading order: by the baseline of their first line, and
+// left to right when those share a baseline within the same tolerance
+// buildLines uses. Their tops are no good for this, since a larger font
+// reaches higher on the same baseline.
+function readingOrder(paragraphs) {
+  const rows = [];
+  for (const paragraph of [...paragraphs].sort((a, b) => a.y - b.y || a.x - b.x)) {
+    const row = rows[rows.length - 1];
+    if (row && Math.abs(row.y - paragraph.y) <= 0.3 * Math.min(row.fontSize, paragraph.fontSize)) {
+      row.items.push(paragraph);
+    } else {
+      rows.push({ y: paragraph.y, fontSize: paragraph.fontSize, items: [paragraph] });
+    }
+  }
+  return rows.flatMap(row => row.items.sort((a, b) => a.x - b.x));
+}
+
+// mode is 'lines' or 'paragraphs'; metricsOf(fontName) returns the font's
+// { ascent, descent } as fractions of the font size
+function mergeTextElements(elements, mode, metricsOf) {
+  const lines = buildLines(elements, metricsOf);
+  if (mode === 'lines') {
+    return lines.map(toLineElement);
+  }
+  return readingOrder(buildParagraphs(lines).map(toParagraphElement));
+}
+
+module.exports = { LIST_MARKER, mergeTextElements };
@@ -7,4 +7,8 @@ app.listen(port, () => {
     console.log(`listening at http://localhost:${port}`);
 });
 
-module.exports.handler = serverless(app);
+// PDFs, zips and rendered page images go out base64-encoded, as API
+// Gateway needs for binary bodies
+module.exports.handler = serverless(app, {
+    binary: ['application/pdf', 'application/zip', 'image/*']
+});
@@ -0,0 +1,33 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const sharp = require('sharp');
+const { skipWithoutCanvas } = require('./server');
+
+test('pages with images rasterize', { skip: skipWithoutCanvas }, async () => {
+  const { renderDocument } = require('../lib/render');
+  const { loadDocument } = require('../lib/extract');
+  const { rasterizePage } = require('../lib/raster');
+
+  const red = await sharp({ create: { width: 8, height: 8, channels: 3, background: '#ff0000' } }).png().toBuffer();
+  const { pdfDoc } = await renderDocument({
+    version: 1,
+    pages: [{
+      width: 100,
+      height: 100,
+      elements: [{ type: 'image', src: `data:image/png;base64,${red.toString('base64')}`, x: 25, y: 25, width: 50, height: 50 }]
+    }]
+  });
+  const pdf = await loadDocument(await pdfDoc.save());
+  try {
+    const image = await rasterizePage(await pdf.getPage(1), { format: 'png', dpi: 72 });
+    assert.equal(image.width, 100);
+    assert.equal(image.height, 100);
+
+    const { data, info } = await sharp(image.data).raw().toBuffer({ resolveWithObject: true });
+    const pixel = (x, y) => Array.from(data.subarray((y * info.width + x) * info.channels, (y * info.width + x) * info.channels + 3));
+    assert.deepEqual(pixel(50, 50), [255, 0, 0]);
+    assert.deepEqual(pixel(5, 5), [255, 255, 255]);
+  } finally {
+    await pdf.destroy();
+  }
+});
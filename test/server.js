@@ -0,0 +1,34 @@
+// Starts the app on a free port for tests. Authentication is switched off,
+// since routes are tested here, not API keys.
+process.env.AUTH_DISABLED = '1';
+
+// The app needs node-canvas, whose native build is missing on some
+// machines; tests that load the app are skipped there
+let canvasError = null;
+try {
+  require('canvas');
+} catch (error) {
+  canvasError = error;
+}
+const skipWithoutCanvas = canvasError ? `canvas cannot be loaded: ${canvasError.message.split('\n')[0]}` : false;
+
+async function startApp() {
+  const app = require('../app');
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  return {
+    base: `http://127.0.0.1:${server.address().port}`,
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+async function postJson(base, path, body) {
+  const response = await fetch(base + path, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+module.exports = { skipWithoutCanvas, startApp, postJson };
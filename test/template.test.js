@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { expandTemplate } = require('../lib/template');
+const { skipWithoutCanvas, startApp, postJson } = require('./server');
+
+const layout = elements => ({ version: 1, pages: [{ width: 200, height: 100, elements }] });
+const texts = page => page.elements.map(element => element.text);
+
+test('/render answers 422 for a null element', { skip: skipWithoutCanvas }, async () => {
+  const app = await startApp();
+  try {
+    const { status, body } = await postJson(app.base, '/render', { layout: layout([null]), data: {} });
+    assert.equal(status, 422);
+    assert.deepEqual(body.violations, [{ path: '/pages/0/elements/0', message: 'must be object' }]);
+  } finally {
+    await app.close();
+  }
+});
+
+test('group and repeat elements must be arrays', () => {
+  for (const elements of ['x', 5, {}]) {
+    const { violations } = expandTemplate(layout([{ type: 'group', elements }]));
+    assert.deepEqual(violations, [{ path: '/pages/0/elements/0/elements', message: 'must be array' }]);
+  }
+  const { violations } = expandTemplate(layout([{ type: 'repeat', rowHeight: 10, elements: [] }]));
+  assert.deepEqual(violations, [{ path: '/pages/0/elements/0/each', message: 'is required' }]);
+});
+
+test('repeat rows continue on new pages', () => {
+  const row = { type: 'text', text: '{{item}}', x: 0, y: 0 };
+  const { document, violations } = expandTemplate(
+    layout([{ type: 'repeat', each: 'rows', y: 10, rowHeight: 30, continueAt: 5, elements: [row] }]),
+    { rows: ['a', 'b', 'c', 'd'] }
+  );
+  assert.deepEqual(violations, []);
+  assert.deepEqual(document.pages.map(texts), [['a', 'b', 'c'], ['d']]);
+  assert.equal(document.pages[1].elements[0].y, 5);
+});
+
+test('a row taller than the room below y does not leave an empty page', () => {
+  const row = { type: 'text', text: '{{item}}', x: 0, y: 0 };
+  const { document } = expandTemplate(
+    layout([{ type: 'repeat', each: 'rows', y: 50, rowHeight: 80, elements: [row] }]),
+    { rows: ['a', 'b'] }
+  );
+  assert.deepEqual(document.pages.map(texts), [['a'], ['b']]);
+});